@@ -2,13 +2,26 @@
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs/promises";
-import Fastify from "fastify";
-import { existsSync } from "fs";
+import Fastify, { LogController } from "fastify";
+import { existsSync, watch as watchFs } from "fs";
+import { createHash, timingSafeEqual } from "crypto";
+import { isIP } from "net";
 import fastGlob from "fast-glob";
 import closeWithGrace from "close-with-grace";
 import merge from "deepmerge";
 import { resolve } from "import-meta-resolve";
 import { findUp } from "find-up";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { STATUS_CODES } from "http";
+import { DataTypes } from "sequelize";
+import {
+  AppError,
+  NotFoundError,
+  QuotaExceededError,
+  UnauthorizedError,
+  ValidationError,
+} from "@internal/shared";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,14 +53,56 @@ class SecurityValidator {
     }
     return sanitized;
   }
+
+  // Constant-time comparison of secrets of any length
+  static safeCompare(provided, expected) {
+    if (typeof provided !== "string" || typeof expected !== "string") {
+      return false;
+    }
+
+    const digest = (value) => createHash("sha256").update(value).digest();
+    return timingSafeEqual(digest(provided), digest(expected));
+  }
 }
 
+// Lists such as plugin order or identification strategies replace the
+// defaults instead of being appended to them; instances (clients, stores)
+// are kept by reference
+const mergeOptions = {
+  arrayMerge: (target, source) => source,
+  isMergeableObject: (value) => isPlainObject(value),
+};
+
 /**
  * Configuration management using Singleton pattern
  */
 class ConfigurationManager {
   constructor(overrides = {}) {
-    this.config = merge(this.getDefaultConfig(), overrides);
+    this.deprecations = [];
+    this.config = merge(
+      this.getDefaultConfig(),
+      this.normalize(overrides),
+      mergeOptions
+    );
+  }
+
+  // Map deprecated settings onto their replacements
+  normalize(overrides = {}) {
+    const tenants = overrides.tenants;
+
+    if (tenants?.maxConcurrent !== undefined) {
+      this.deprecations.push(
+        "tenants.maxConcurrent is deprecated: use tenants.maxTenants for the tenant cap and tenants.loadConcurrency for parallel loading"
+      );
+
+      const { maxConcurrent, ...rest } = tenants;
+      return {
+        ...overrides,
+        tenants: { maxTenants: maxConcurrent, ...rest },
+      };
+    }
+
+    return overrides;
   }
 
   getDefaultConfig() {
@@ -66,19 +121,154 @@ class ConfigurationManager {
           "cookie",
           "exception",
           "logger",
+          "cors",
           "request",
+          "rate-limit",
+          "rbac",
           "static",
         ],
+        // Core plugins also registered inside every tenant instance
+        tenantOrder: [
+          "cors",
+          "request",
+          "rate-limit",
+          "cookie",
+          "auth",
+          "rbac",
+        ],
+        // Denies cross-origin requests unless the tenant's `cors` config (or
+        // `origins` here, for platform routes) allows the origin
+        cors: {
+          origins: [], // "https://app.example.com", "https://*.example.com"
+          methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"],
+          allowedHeaders: ["Content-Type", "Authorization"],
+          exposedHeaders: [],
+          credentials: false,
+          maxAge: 600, // Seconds browsers may cache a preflight response
+        },
+        // Tenant budgets come from limits.requestsPerMinute; `max` applies
+        // to tenants without one and, per client, to platform routes
+        "rate-limit": {
+          max: 100,
+          timeWindow: "1 minute",
+          perClient: false,
+          store: "memory", // "redis" with a `redis` client, or a store class
+        },
+        // Bearer tokens are verified with each tenant's auth.jwt keys
+        auth: {
+          clockTolerance: 0, // Seconds of leeway for exp and nbf
+          jwksCacheSeconds: 600,
+        },
+        // DATABASE_URL, or discrete fields; dialect "sqlite" needs no server
+        database: {
+          url: process.env.DATABASE_URL,
+          dialect: process.env.DB_DIALECT || "postgres",
+          host: process.env.DB_HOST || "localhost",
+          port: process.env.DB_PORT ? Number(process.env.DB_PORT) : undefined,
+          database: process.env.DB_NAME || "mydatabase",
+          username: process.env.DB_USER || "myuser",
+          password: process.env.DB_PASSWORD || "mypassword",
+          storage: process.env.DB_STORAGE, // SQLite file, ":memory:" if unset
+          ssl: process.env.DB_SSL === "true",
+          pool: { max: 10, min: 0, idle: 10000, acquire: 30000 },
+          retry: { attempts: 5, initialDelayMs: 500, maxDelayMs: 10000 },
+          // "fail" aborts startup once the retries are spent; "degrade"
+          // serves without the database while it keeps retrying
+          onUnavailable: process.env.DB_ON_UNAVAILABLE || "degrade",
+          logging: false,
+          // "shared", "row" (shared tables, models scoped by a tenantId
+          // column), "schema" (one Postgres schema per tenant) or "database"
+          // (one database per tenant); tenants may override it with
+          // database.isolation and database.url/schema/database
+          isolation: process.env.DB_ISOLATION || "shared",
+          tenantSchema: "tenant_{tenantId}",
+          tenantDatabase: "tenant_{tenantId}",
+          tenantStorage: null, // SQLite file per tenant, e.g. "data/{tenantId}.db"
+          tenantPool: { max: 5, min: 0, idle: 10000 },
+        },
+        // Signed cookies; tenants with a `session` config get server-side
+        // sessions with these defaults
+        cookie: {
+          secret: process.env.COOKIE_SECRET,
+          session: {
+            store: "memory", // "file", "redis" with a `redis` client, or a store
+            directory: process.env.SESSION_DIR || ".sessions",
+            ttlSeconds: 86400,
+            rolling: true, // Each response extends the session
+            csrf: true,
+            cookieName: "sid", // Sent as sid.<tenantId>
+            sameSite: "lax",
+          },
+        },
+        // Role to permission maps; tenants override them with their rbac config
+        rbac: {
+          roleClaim: "role", // Claim of request.user holding a role or a list
+          anonymousRole: null, // Role granted to requests without a user
+          roles: {},
+        },
         npmPattern: "fastify-multitenant-*",
       },
       tenants: {
         npmPattern: "fastify-multitenant-*",
-        maxConcurrent: 50,
+        maxTenants: 50, // Hard cap on registered tenants
+        loadConcurrency: 8, // Tenants loaded in parallel at startup
+        resourceConcurrency: 8, // Resource files imported in parallel
         autoLoad: true,
+        watch: {
+          enabled: process.env.TENANT_WATCH === "true",
+          debounceMs: 250,
+        },
+      },
+      // Ordered tenant identification chain, see TenantStrategyChain
+      identification: {
+        strategies: ["subdomain", "path", "header"],
+        // Strict mode rejects unknown, inactive and malformed tenants on
+        // every non-platform path instead of using the fallback tenant
+        strict: process.env.TENANT_STRICT === "true",
+        fallback: "default-tenant",
+        // Served by the platform app without tenant resolution; the admin
+        // prefix is added automatically
+        platformPaths: ["/health", "/tenants"],
+        subdomain: { baseDomain: null },
+        domains: {}, // "portal.acme.com": "acme"
+        path: { exclude: ["api", "health"] },
+        header: { header: "x-tenant-id" },
+        query: { parameter: "tenant" },
+        jwt: { claim: "tenantId", header: "authorization" },
       },
       security: {
         validateInputs: true,
       },
+      // Tenant migrations/ (or database/migrations/), see TenantMigrator
+      migrations: {
+        runOnLoad: process.env.TENANT_MIGRATIONS !== "manual",
+        table: "tenant_migrations",
+      },
+      // Tenant seeds/ (or database/seeds/), see TenantSeeder
+      seeds: {
+        runOnLoad: process.env.NODE_ENV === "development",
+        environment: process.env.NODE_ENV || "development",
+        table: "tenant_seeds",
+      },
+      // Problem details (RFC 7807) for every error response
+      errors: {
+        typeBaseUrl: null, // e.g. "https://docs.example.com/problems"
+        exposeInternals: process.env.NODE_ENV === "development",
+      },
+      // Usage counters per tenant and billing period, see UsageMeter
+      metering: {
+        enabled: true,
+        period: "month", // or "day"
+        store: "file", // "memory", "file" or an object with load()/save()
+        directory: process.env.USAGE_DIR || ".usage",
+        flushIntervalMs: 5000,
+      },
+      admin: {
+        enabled: true,
+        prefix: "/admin",
+        // Admin routes are only registered when a credential is configured
+        token: process.env.ADMIN_TOKEN || null,
+      },
     };
   }
 
@@ -87,7 +277,47 @@ class ConfigurationManager {
   }
 
   merge(overrides) {
-    this.config = merge(this.config, overrides);
+    this.config = merge(this.config, this.normalize(overrides), mergeOptions);
+  }
+}
+
+/**
+ * Concurrency limiter using Semaphore pattern
+ */
+class TaskLimiter {
+  constructor(concurrency = 1) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  // Like Promise.all over items, with at most `concurrency` in flight
+  map(items, fn) {
+    return Promise.all(items.map((item) => this.run(() => fn(item))));
+  }
+
+  next() {
+    if (this.active >= this.concurrency || this.queue.length === 0) {
+      return;
+    }
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        this.next();
+      });
   }
 }
 
@@ -98,6 +328,24 @@ class PathResolver {
   constructor(baseDir = __dirname) {
     this.baseDir = path.resolve(baseDir);
     this.trustedPackagePaths = new Set(); // Trusted NPM package paths
+    this.moduleVersions = new Map(); // Directory -> cache-busting version
+  }
+
+  // Force fresh ESM imports for every module under a directory. Only the
+  // modules imported by the loaders are refreshed; their own relative imports
+  // stay in the ESM cache.
+  bustModuleCache(dirPath) {
+    this.moduleVersions.set(path.resolve(dirPath), Date.now());
+  }
+
+  toModuleUrl(filePath) {
+    const resolved = path.resolve(filePath);
+    for (const [dirPath, version] of this.moduleVersions) {
+      if (resolved.startsWith(dirPath + path.sep)) {
+        return `file://${resolved}?v=${version}`;
+      }
+    }
+    return `file://${resolved}`;
   }
 
   // Add trusted package path (for NPM packages)
@@ -190,6 +438,23 @@ class PluginManager {
     this.logger = logger;
     this.pathResolver = pathResolver;
     this.pluginCache = new Map();
+    this.pluginPaths = new Map(); // Cache key -> plugin file path
+  }
+
+  invalidate(dirPath) {
+    const root = path.resolve(dirPath) + path.sep;
+    let cleared = 0;
+
+    for (const [cacheKey, pluginPath] of this.pluginPaths) {
+      if (pluginPath.startsWith(root)) {
+        this.pluginCache.delete(cacheKey);
+        this.pluginPaths.delete(cacheKey);
+        cleared++;
+      }
+    }
+
+    this.pathResolver.bustModuleCache(dirPath);
+    return cleared;
   }
 
   async loadLocalPlugin(app, pluginName, options = {}) {
@@ -216,7 +481,9 @@ class PluginManager {
         return { success: false, error: `Plugin not found: ${sanitizedName}` };
       }
 
-      const pluginModule = await import(`file://${pluginPath}`);
+      const pluginModule = await import(
+        this.pathResolver.toModuleUrl(pluginPath)
+      );
       const plugin = pluginModule.default || pluginModule;
 
       if (typeof plugin !== "function") {
@@ -227,6 +494,7 @@ class PluginManager {
       }
 
       this.pluginCache.set(cacheKey, plugin);
+      this.pluginPaths.set(cacheKey, pluginPath);
       await app.register(plugin, { ...options, fastify: app });
       this.logger.debug(`Registered plugin ${sanitizedName}`);
 
@@ -354,14 +622,97 @@ class PluginManager {
   }
 }
 
+const CONFIG_PLACEHOLDER = /\$\{(env|file):([^}]+)\}/g;
+const CONFIG_SECRETS = Symbol("configSecrets");
+const SECRET_MASK = "********";
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Key material masked wherever it comes from, literal values included
+const SECRET_CONFIG_PATHS = [
+  ["auth", "jwt", "secret"],
+  ["auth", "jwt", "privateKey"],
+  ["session", "secret"],
+  ["database", "url"],
+  ["database", "password"],
+];
+
+// Copy of a tenant config with every interpolated value and every known
+// secret replaced by a mask
+function maskConfigSecrets(config) {
+  const secrets = [
+    ...(config?.[CONFIG_SECRETS] || []),
+    ...SECRET_CONFIG_PATHS.filter(
+      (keys) => keys.reduce((value, key) => value?.[key], config) != null
+    ),
+  ];
+  if (secrets.length === 0) {
+    return config;
+  }
+
+  const masked = { ...config };
+  for (const keys of secrets) {
+    let target = masked;
+    for (const key of keys.slice(0, -1)) {
+      target[key] = Array.isArray(target[key])
+        ? [...target[key]]
+        : { ...target[key] };
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = SECRET_MASK;
+  }
+  return masked;
+}
+
 /**
  * Enhanced Resource loader with NPM package support
  */
 class ResourceLoader {
-  constructor(logger, pathResolver) {
+  constructor(logger, pathResolver, options = {}) {
     this.logger = logger;
     this.pathResolver = pathResolver;
     this.loadedResources = new Map();
+    this.concurrency = options.concurrency || 8;
+    this.environment =
+      options.environment || process.env.NODE_ENV || "development";
+  }
+
+  // Import (or parse, for .json) files with bounded parallelism. Returns
+  // [file, module] pairs in input order; failures are returned as Errors.
+  async importAll(files) {
+    const limiter = new TaskLimiter(this.concurrency);
+
+    return await limiter.map(files, async (file) => {
+      try {
+        if (file.endsWith(".json")) {
+          return [file, JSON.parse(await fs.readFile(file, "utf8"))];
+        }
+        return [file, await import(this.pathResolver.toModuleUrl(file))];
+      } catch (err) {
+        return [file, err];
+      }
+    });
+  }
+
+  invalidate(dirPath) {
+    const root = path.resolve(dirPath);
+    let cleared = 0;
+
+    for (const cacheKey of this.loadedResources.keys()) {
+      const resourcePath = path.resolve(
+        cacheKey.slice(cacheKey.indexOf(":") + 1)
+      );
+      if (resourcePath === root || resourcePath.startsWith(root + path.sep)) {
+        this.loadedResources.delete(cacheKey);
+        cleared++;
+      }
+    }
+
+    this.pathResolver.bustModuleCache(dirPath);
+    return cleared;
   }
 
   async loadServices(servicesPath, options = {}) {
@@ -387,31 +738,30 @@ class ResourceLoader {
         return {};
       }
 
-      const serviceFiles = await fastGlob("**/*.{js,mjs}", {
-        cwd: absolutePath,
-        absolute: true,
-      });
+      const serviceFiles = (
+        await fastGlob("**/*.{js,mjs}", {
+          cwd: absolutePath,
+          absolute: true,
+        })
+      ).sort();
 
       this.logger.info(
         `Found ${serviceFiles.length} service files in ${servicesPath}`
       );
 
+      // Import in parallel, register in a stable order; the container
+      // instantiates services on first use
+      const serviceModules = await this.importAll(serviceFiles);
       const services = {};
 
-      for (const file of serviceFiles) {
+      for (const [file, serviceModule] of serviceModules) {
         try {
-          const serviceName = path.basename(file, path.extname(file));
-          const serviceModule = await import(`file://${file}`);
-          const ServiceClass = serviceModule.default || serviceModule;
-
-          if (typeof ServiceClass === "function") {
-            services[serviceName] = /^[A-Z]/.test(ServiceClass.name)
-              ? new ServiceClass(options.db, options.config)
-              : ServiceClass(options.db, options.config);
-          } else {
-            services[serviceName] = ServiceClass;
+          if (serviceModule instanceof Error) {
+            throw serviceModule;
           }
 
+          const serviceName = path.basename(file, path.extname(file));
+          services[serviceName] = ServiceContainer.describe(serviceModule);
           this.logger.debug(`Loaded service ${serviceName} from ${file}`);
         } catch (err) {
           this.logger.error({ err }, `Failed to load service from ${file}`);
@@ -429,6 +779,81 @@ class ResourceLoader {
     }
   }
 
+  // Model modules export (sequelize, DataTypes, { tenantId, config }) and
+  // return the model. Models are defined on the tenant's connection and never
+  // cached, since a reload needs them bound to the current connection; once
+  // all are defined, each model's static associate(models) runs. With
+  // `rowScope`, models default to `tenantScoped` unless they set it.
+  async loadModels(modelsPath, options = {}) {
+    const { db } = options;
+    if (!db) {
+      this.logger.warn(`No database for the models in ${modelsPath}`);
+      return {};
+    }
+
+    const absolutePath = options.isTrustedPath
+      ? modelsPath
+      : this.pathResolver.resolvePath(modelsPath);
+
+    if (
+      !(await this.pathResolver.pathExists(absolutePath, {
+        allowTrusted: options.isTrustedPath,
+      }))
+    ) {
+      this.logger.debug(`No models directory found at ${modelsPath}`);
+      return {};
+    }
+
+    const modelFiles = (
+      await fastGlob("**/*.{js,mjs}", { cwd: absolutePath, absolute: true })
+    ).sort();
+    const models = {};
+
+    for (const [file, modelModule] of await this.importAll(modelFiles)) {
+      try {
+        if (modelModule instanceof Error) {
+          throw modelModule;
+        }
+
+        const defineModel = modelModule.default || modelModule;
+        if (typeof defineModel !== "function") {
+          throw new Error("Model modules must export a definition function");
+        }
+
+        const define = () =>
+          defineModel(db, DataTypes, {
+            tenantId: options.tenantId,
+            config: options.config,
+          });
+        const model = await (options.rowScope
+          ? options.rowScope.defining(options.tenantScoped, define)
+          : define());
+        models[model.name] = model;
+        this.logger.debug(`Loaded model ${model.name} from ${file}`);
+      } catch (err) {
+        // Services and routes rely on every model, so the tenant fails to load
+        throw new Error(`Failed to load model from ${file}: ${err.message}`, {
+          cause: err,
+        });
+      }
+    }
+
+    for (const model of Object.values(models)) {
+      if (typeof model.associate === "function") {
+        try {
+          model.associate(models);
+        } catch (err) {
+          throw new Error(
+            `Failed to associate model ${model.name}: ${err.message}`,
+            { cause: err }
+          );
+        }
+      }
+    }
+
+    return models;
+  }
+
   async loadPlugin(app, pluginPath, options = {}) {
     try {
       // For NPM packages, use the path directly if it's trusted
@@ -449,7 +874,9 @@ class ResourceLoader {
         return false;
       }
 
-      const pluginModule = await import(`file://${indexPath}`);
+      const pluginModule = await import(
+        this.pathResolver.toModuleUrl(indexPath)
+      );
       const pluginFunc = pluginModule.default || pluginModule;
 
       if (typeof pluginFunc !== "function") {
@@ -485,34 +912,42 @@ class ResourceLoader {
         return false;
       }
 
-      const schemaFiles = await fastGlob("**/*.{json,js,mjs}", {
-        cwd: absolutePath,
-        absolute: true,
-      });
+      const schemaFiles = (
+        await fastGlob("**/*.{json,js,mjs}", {
+          cwd: absolutePath,
+          absolute: true,
+        })
+      ).sort();
 
       this.logger.info(
         `Found ${schemaFiles.length} schema files in ${schemaPath}`
       );
 
-      for (const file of schemaFiles) {
-        try {
-          let schemaData;
+      // Read in parallel, register in a stable order
+      const schemaModules = await this.importAll(schemaFiles);
 
-          if (file.endsWith(".json")) {
-            const content = await fs.readFile(file, "utf8");
-            schemaData = JSON.parse(content);
-          } else {
-            const schemaModule = await import(`file://${file}`);
-            schemaData = schemaModule.default || schemaModule;
+      for (const [file, schemaModule] of schemaModules) {
+        try {
+          if (schemaModule instanceof Error) {
+            throw schemaModule;
           }
 
-          if (!schemaData.$id) {
-            this.logger.warn(`Schema at ${file} does not have an $id property`);
-            continue;
-          }
+          const schemaData = file.endsWith(".json")
+            ? schemaModule
+            : schemaModule.default || schemaModule;
+
+          // A module may export one schema or an array of related schemas
+          for (const schema of [schemaData].flat()) {
+            if (!schema.$id) {
+              this.logger.warn(
+                `Schema at ${file} does not have an $id property`
+              );
+              continue;
+            }
 
-          app.addSchema(schemaData);
-          this.logger.debug(`Loaded schema ${schemaData.$id} from ${file}`);
+            app.addSchema(schema);
+            this.logger.debug(`Loaded schema ${schema.$id} from ${file}`);
+          }
         } catch (err) {
           this.logger.error({ err }, `Failed to load schema from ${file}`);
         }
@@ -526,18 +961,26 @@ class ResourceLoader {
   }
 
   async loadConfig(configPath, defaults = {}, options = {}) {
+    let absolutePath;
+    let config = { ...defaults };
+
     try {
       // For NPM packages, use the path directly if it's trusted
-      const absolutePath = options.isTrustedPath
+      absolutePath = options.isTrustedPath
         ? configPath
         : this.pathResolver.resolvePath(configPath);
 
-      let config = { ...defaults };
-
-      const configFiles = await fastGlob("config.{json,js,mjs}", {
-        cwd: absolutePath,
-        absolute: true,
-      });
+      // Base config first, then the overlay for the current environment
+      const configFiles = [
+        ...(await fastGlob("config.{json,js,mjs}", {
+          cwd: absolutePath,
+          absolute: true,
+        })),
+        ...(await fastGlob(`config.${this.environment}.{json,js,mjs}`, {
+          cwd: absolutePath,
+          absolute: true,
+        })),
+      ];
 
       if (configFiles.length === 0) {
         this.logger.debug(`No config files found in ${absolutePath}`);
@@ -550,7 +993,9 @@ class ResourceLoader {
             const content = await fs.readFile(file, "utf8");
             config = merge(config, JSON.parse(content));
           } else {
-            const configModule = await import(`file://${file}`);
+            const configModule = await import(
+              this.pathResolver.toModuleUrl(file)
+            );
             config = merge(config, configModule.default || configModule);
           }
           this.logger.debug(`Loaded configuration from ${file}`);
@@ -558,146 +1003,502 @@ class ResourceLoader {
           this.logger.error({ err }, `Failed to load config from ${file}`);
         }
       }
-
-      return config;
     } catch (err) {
       this.logger.error({ err }, `Failed to load config from ${configPath}`);
       return defaults;
     }
-  }
-}
 
-/**
- * Tenant context value object
- */
-class TenantContext {
-  constructor(id, config, adapter) {
-    this.id = SecurityValidator.validateTenantId(id);
-    this.config = config;
-    this.adapter = adapter;
-    this.services = {};
-    this.plugins = new Set();
-    this.routes = new Set();
-    this.schemas = new Set();
-    this.active = config.active !== false;
-    this.createdAt = new Date();
-    this.type = adapter.getType();
+    // Unresolved placeholders are fatal: a tenant must not start with a
+    // missing secret
+    return await this.interpolateConfig(config, absolutePath);
   }
 
-  addService(name, service) {
-    this.services[name] = service;
-  }
+  // Resolves ${env:NAME} and ${file:/path} placeholders in string values.
+  // "${env:NAME:-fallback}" makes a value optional; relative file paths are
+  // resolved against the tenant directory. Paths of interpolated values are
+  // remembered so TenantContext.toJSON() can mask them.
+  async interpolateConfig(config, baseDir) {
+    const errors = [];
+    const secrets = [];
+
+    const resolveString = async (value, keys) => {
+      const matches = [...value.matchAll(CONFIG_PLACEHOLDER)];
+      if (matches.length === 0) {
+        return value;
+      }
 
-  getService(name) {
-    return this.services[name] || null;
-  }
+      let result = value;
+      for (const [placeholder, source, reference] of matches) {
+        const [name, fallback] = reference.split(":-");
+        let resolved;
 
-  listServices() {
-    return Object.keys(this.services);
-  }
+        if (source === "env") {
+          resolved = process.env[name];
+        } else {
+          try {
+            const file = path.resolve(baseDir || process.cwd(), name);
+            resolved = (await fs.readFile(file, "utf8")).trim();
+          } catch {
+            resolved = undefined;
+          }
+        }
 
-  addPlugin(pluginName) {
-    this.plugins.add(pluginName);
-  }
+        if (resolved === undefined) {
+          if (fallback === undefined) {
+            errors.push(
+              `/${keys.join("/")}: unresolved placeholder ${placeholder}`
+            );
+            continue;
+          }
+          resolved = fallback;
+        }
 
-  toJSON() {
-    return {
-      id: this.id,
-      type: this.type,
-      config: this.config,
-      services: Object.keys(this.services),
-      plugins: Array.from(this.plugins),
-      routes: Array.from(this.routes),
-      schemas: Array.from(this.schemas),
-      active: this.active,
-      createdAt: this.createdAt,
+        result = result.replace(placeholder, () => resolved);
+      }
+
+      secrets.push(keys);
+      return result;
+    };
+
+    const resolveValue = async (value, keys) => {
+      if (typeof value === "string") {
+        return await resolveString(value, keys);
+      }
+      if (Array.isArray(value)) {
+        return await Promise.all(
+          value.map((item, index) => resolveValue(item, [...keys, index]))
+        );
+      }
+      if (isPlainObject(value)) {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+          result[key] = await resolveValue(item, [...keys, key]);
+        }
+        return result;
+      }
+      return value;
     };
+
+    const resolved = await resolveValue(config, []);
+
+    if (errors.length > 0) {
+      throw new TenantConfigError(
+        config.id || path.basename(baseDir || ""),
+        errors
+      );
+    }
+
+    Object.defineProperty(resolved, CONFIG_SECRETS, { value: secrets });
+    return resolved;
   }
 }
 
+// Arguments of services without an `inject` declaration
+const LEGACY_INJECT = ["db", "config", "context"];
+const SERVICE_LIFETIMES = ["singleton", "request"];
+
 /**
- * Abstract base class for tenant adapters using Template Method pattern
+ * Services using Dependency Injection pattern. A service module exports a
+ * factory or class (default export) and may declare the names it depends on
+ * and its lifetime:
+ *
+ *   export const inject = ["db", "logger", "mailer"];
+ *   export const lifetime = "request"; // "singleton" by default
+ *   export default (db, logger, mailer) => ({ ... });
+ *
+ * Singletons are built when the tenant loads, their dependencies first, and
+ * kept by the container; request-scoped services once per ServiceScope.
+ * Names not found are looked up in the parent (platform) container.
  */
-class TenantAdapter {
-  constructor(logger, pathResolver, resourceLoader) {
-    this.logger = logger;
-    this.pathResolver = pathResolver;
-    this.resourceLoader = resourceLoader;
+class ServiceContainer {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.definitions = new Map();
+    this.instances = new Map(); // Singletons
   }
 
-  getType() {
-    throw new Error("getType must be implemented by subclass");
-  }
+  // Service definition from a module: { factory, isClass, inject, lifetime }
+  static describe(serviceModule) {
+    const service = serviceModule.default || serviceModule;
+    if (typeof service !== "function") {
+      return { value: service, inject: [], lifetime: "singleton" };
+    }
 
-  async loadConfig(tenantPath, defaults) {
-    throw new Error("loadConfig must be implemented by subclass");
+    const definition = {
+      factory: service,
+      isClass: /^[A-Z]/.test(service.name),
+      inject: serviceModule.inject || service.inject || LEGACY_INJECT,
+      lifetime: serviceModule.lifetime || service.lifetime || "singleton",
+    };
+    if (!SERVICE_LIFETIMES.includes(definition.lifetime)) {
+      throw new Error(`Unknown service lifetime '${definition.lifetime}'`);
+    }
+    return definition;
   }
 
-  async loadResources(app, tenantContext) {
-    throw new Error("loadResources must be implemented by subclass");
+  register(name, definition) {
+    this.definitions.set(name, {
+      inject: [],
+      lifetime: "singleton",
+      ...definition,
+    });
+    this.instances.delete(name);
+    return this;
   }
 
-  async canHandle(source) {
-    throw new Error("canHandle must be implemented by subclass");
+  // A ready instance; `provided` values (db, config, ...) are not listed
+  registerValue(name, value, { provided = false } = {}) {
+    this.register(name, { value, provided });
+    this.instances.set(name, value);
+    return this;
   }
-}
 
-/**
- * Local file-system tenant adapter
- */
-class LocalTenantAdapter extends TenantAdapter {
-  getType() {
-    return "local";
+  // [owning container, definition], searching the parents
+  lookup(name) {
+    if (this.definitions.has(name)) {
+      return [this, this.definitions.get(name)];
+    }
+    return this.parent ? this.parent.lookup(name) : [null, null];
   }
 
-  async canHandle(source) {
-    return await this.pathResolver.pathExists(source);
+  has(name) {
+    return this.lookup(name)[0] !== null;
   }
 
-  async loadConfig(tenantPath, defaults) {
-    return await this.resourceLoader.loadConfig(tenantPath, defaults);
+  list() {
+    return [...this.definitions]
+      .filter(([, definition]) => !definition.provided)
+      .map(([name]) => name);
   }
 
-  async loadResources(app, tenantContext) {
-    const tenantPath = tenantContext.config.path || tenantContext.config.source;
-    const { id: tenantId, config } = tenantContext;
-
-    console.log({
-      tenantId,
-      tenantPath,
-      config: tenantContext.config,
-    });
-    try {
-      // Load schemas first
-      const schemaPath = path.join(tenantPath, "schemas");
-      if (await this.pathResolver.pathExists(schemaPath)) {
-        const result = await this.resourceLoader.loadSchemas(app, schemaPath);
-        if (result.success) {
-          tenantContext.schemas.add(schemaPath);
-        }
-      }
-
-      // Load services
-      const servicesPath = path.join(tenantPath, "services");
-      if (await this.pathResolver.pathExists(servicesPath)) {
-        const services = await this.resourceLoader.loadServices(servicesPath, {
-          db: app.db,
-          config,
-          tenantId,
-        });
+  resolve(name, scope = null, path = []) {
+    if (path.includes(name)) {
+      throw new Error(
+        `Circular service dependency: ${[...path, name].join(" -> ")}`
+      );
+    }
 
-        Object.entries(services).forEach(([name, service]) => {
-          tenantContext.addService(name, service);
-        });
+    const [owner, definition] = this.lookup(name);
+    if (!owner) {
+      throw new Error(
+        path.length > 0
+          ? `Unknown service '${name}' required by '${path.at(-1)}'`
+          : `Unknown service '${name}'`
+      );
+    }
 
-        this.logger.info(
-          `Loaded ${Object.keys(services).length} services for tenant ${tenantId}`
+    if (definition.lifetime === "request") {
+      if (!scope) {
+        throw new Error(
+          path.length > 0
+            ? `Request-scoped service '${name}' cannot be injected into singleton '${path.at(-1)}'`
+            : `Service '${name}' is request-scoped; resolve it with request.getService()`
         );
       }
+      if (!scope.instances.has(name)) {
+        scope.instances.set(name, owner.build(name, definition, scope, path));
+      }
+      return scope.instances.get(name);
+    }
 
-      // Load plugins
-      const pluginsPath = path.join(tenantPath, "plugins");
-      if (await this.pathResolver.pathExists(pluginsPath)) {
+    if (!owner.instances.has(name)) {
+      // Singletons never see the request scope
+      owner.instances.set(name, owner.build(name, definition, null, path));
+    }
+    return owner.instances.get(name);
+  }
+
+  build(name, definition, scope, path) {
+    if ("value" in definition) {
+      return definition.value;
+    }
+
+    const args = definition.inject.map((dependency) =>
+      dependency === "request" && scope
+        ? scope.request
+        : this.resolve(dependency, scope, [...path, name])
+    );
+    return definition.isClass
+      ? new definition.factory(...args)
+      : definition.factory(...args);
+  }
+
+  // Fails on unknown dependencies, cycles and singletons depending on
+  // request-scoped services, without building anything
+  validate() {
+    const visit = (name, path) => {
+      if (path.includes(name)) {
+        throw new Error(
+          `Circular service dependency: ${[...path, name].join(" -> ")}`
+        );
+      }
+
+      const [, definition] = this.lookup(name);
+      if (!definition) {
+        throw new Error(
+          `Unknown service '${name}' required by '${path.at(-1)}'`
+        );
+      }
+
+      const dependent = path.length > 0 && this.lookup(path.at(-1))[1];
+      if (
+        dependent?.lifetime === "singleton" &&
+        definition.lifetime === "request"
+      ) {
+        throw new Error(
+          `Request-scoped service '${name}' cannot be injected into singleton '${path.at(-1)}'`
+        );
+      }
+
+      for (const dependency of definition.inject) {
+        if (dependency !== "request") {
+          visit(dependency, [...path, name]);
+        } else if (definition.lifetime !== "request") {
+          throw new Error(
+            `Only request-scoped services can inject 'request' ('${name}')`
+          );
+        }
+      }
+    };
+
+    for (const name of this.list()) {
+      visit(name, []);
+    }
+  }
+
+  // Builds every singleton once validate() passed, so a factory that throws
+  // or rejects fails the load instead of the first request using it
+  async buildSingletons() {
+    for (const name of this.list()) {
+      if (this.definitions.get(name).lifetime !== "singleton") {
+        continue;
+      }
+      try {
+        await this.resolve(name);
+      } catch (err) {
+        throw new Error(`Failed to build service '${name}': ${err.message}`, {
+          cause: err,
+        });
+      }
+    }
+  }
+
+  createScope(request = null) {
+    return new ServiceScope(this, request);
+  }
+}
+
+/**
+ * Services of one request; `request` can be injected into them
+ */
+class ServiceScope {
+  constructor(container, request) {
+    this.container = container;
+    this.request = request;
+    this.instances = new Map(); // Request-scoped services
+  }
+
+  get(name) {
+    return this.container.resolve(name, this);
+  }
+}
+
+/**
+ * Tenant context value object
+ */
+class TenantContext {
+  constructor(id, config, adapter) {
+    this.id = SecurityValidator.validateTenantId(id);
+    this.config = config;
+    this.adapter = adapter;
+    this.container = new ServiceContainer(); // Services from services/
+    this.models = {}; // Sequelize models from models/, by model name
+    this.plugins = new Set();
+    this.routes = new Set();
+    this.schemas = new Set();
+    this.active = config.active !== false;
+    this.createdAt = new Date();
+    this.type = adapter.getType();
+    this.dependsOn = config.dependsOn || [];
+    this.app = null; // Encapsulated Fastify instance serving this tenant
+    this.errorCodes = new Map(Object.entries(config.errors || {}));
+    this.migrationError = null; // Set while the tenant's migrations fail
+  }
+
+  // Tenant-specific error code: { status, title, type }
+  registerErrorCode(code, definition) {
+    this.errorCodes.set(code, definition);
+  }
+
+  // Definition from ServiceContainer.describe()
+  addService(name, definition) {
+    this.container.register(name, definition);
+  }
+
+  // Singleton service, built when the tenant loaded
+  getService(name) {
+    return this.listServices().includes(name)
+      ? this.container.resolve(name)
+      : null;
+  }
+
+  listServices() {
+    return this.container.list();
+  }
+
+  // Singleton services by name
+  get services() {
+    const services = {};
+    for (const name of this.listServices()) {
+      Object.defineProperty(services, name, {
+        enumerable: true,
+        get: () => this.container.resolve(name),
+      });
+    }
+    return services;
+  }
+
+  addModel(name, model) {
+    this.models[name] = model;
+  }
+
+  getModel(name) {
+    return this.models[name] || null;
+  }
+
+  listModels() {
+    return Object.keys(this.models);
+  }
+
+  addPlugin(pluginName) {
+    this.plugins.add(pluginName);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      config: maskConfigSecrets(this.config),
+      services: this.listServices(),
+      models: Object.keys(this.models),
+      plugins: Array.from(this.plugins),
+      routes: Array.from(this.routes),
+      schemas: Array.from(this.schemas),
+      dependsOn: this.dependsOn,
+      active: this.active,
+      migrationError: this.migrationError?.message || null,
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+/**
+ * Abstract base class for tenant adapters using Template Method pattern
+ */
+class TenantAdapter {
+  constructor(logger, pathResolver, resourceLoader) {
+    this.logger = logger;
+    this.pathResolver = pathResolver;
+    this.resourceLoader = resourceLoader;
+  }
+
+  getType() {
+    throw new Error("getType must be implemented by subclass");
+  }
+
+  async loadConfig(tenantPath, defaults) {
+    throw new Error("loadConfig must be implemented by subclass");
+  }
+
+  async loadResources(app, tenantContext) {
+    throw new Error("loadResources must be implemented by subclass");
+  }
+
+  async canHandle(source) {
+    throw new Error("canHandle must be implemented by subclass");
+  }
+}
+
+/**
+ * Local file-system tenant adapter
+ */
+class LocalTenantAdapter extends TenantAdapter {
+  getType() {
+    return "local";
+  }
+
+  async canHandle(source) {
+    return await this.pathResolver.pathExists(source);
+  }
+
+  async loadConfig(tenantPath, defaults) {
+    return await this.resourceLoader.loadConfig(tenantPath, defaults);
+  }
+
+  async loadResources(app, tenantContext) {
+    const tenantPath = tenantContext.config.path || tenantContext.config.source;
+    const { id: tenantId, config } = tenantContext;
+
+    this.logger.debug({ tenantId, tenantPath }, "Loading local tenant");
+    try {
+      const loadSchemas = async () => {
+        const schemaPath = path.join(tenantPath, "schemas");
+        if (await this.pathResolver.pathExists(schemaPath)) {
+          const result = await this.resourceLoader.loadSchemas(app, schemaPath);
+          if (result.success) {
+            tenantContext.schemas.add(schemaPath);
+          }
+        }
+      };
+
+      const loadModels = async () => {
+        const modelsPath = path.join(tenantPath, "models");
+        if (await this.pathResolver.pathExists(modelsPath)) {
+          const models = await this.resourceLoader.loadModels(modelsPath, {
+            db: app.db,
+            config,
+            tenantId,
+            rowScope: app.tenantScope,
+            tenantScoped: app.isolation === "row",
+          });
+
+          Object.entries(models).forEach(([name, model]) => {
+            tenantContext.addModel(name, model);
+          });
+
+          this.logger.info(
+            `Loaded ${Object.keys(models).length} models for tenant ${tenantId}`
+          );
+        }
+      };
+
+      const loadServices = async () => {
+        const servicesPath = path.join(tenantPath, "services");
+        if (await this.pathResolver.pathExists(servicesPath)) {
+          const services = await this.resourceLoader.loadServices(servicesPath);
+
+          Object.entries(services).forEach(([name, service]) => {
+            tenantContext.addService(name, service);
+          });
+          tenantContext.container.validate();
+          await tenantContext.container.buildSingletons();
+
+          this.logger.info(
+            `Loaded ${Object.keys(services).length} services for tenant ${tenantId}`
+          );
+        }
+      };
+
+      // Schemas load side by side with the models and then the services,
+      // which get the models, before the plugins and routes that use them
+      await Promise.all([
+        loadSchemas(),
+        loadModels().then(() => loadServices()),
+      ]);
+
+      // Load plugins
+      const pluginsPath = path.join(tenantPath, "plugins");
+      if (await this.pathResolver.pathExists(pluginsPath)) {
         const pluginDirs = await fs.readdir(pluginsPath);
         for (const pluginName of pluginDirs) {
           const pluginPath = path.join(pluginsPath, pluginName);
@@ -794,6 +1595,11 @@ class NPMTenantAdapter extends TenantAdapter {
         config.name = packageName.replace(/^fastify-multitenant-/, "");
       }
 
+      // Tenant dependencies declared in package.json ("tenant.dependsOn")
+      if (moduleInfo.packageJson.tenant?.dependsOn) {
+        config.dependsOn = moduleInfo.packageJson.tenant.dependsOn;
+      }
+
       // Load additional config from package if it exists
       const packageConfig = await this.resourceLoader.loadConfig(
         config.path,
@@ -801,9 +1607,15 @@ class NPMTenantAdapter extends TenantAdapter {
         { isTrustedPath: true }
       );
       config = merge(config, packageConfig);
+      Object.defineProperty(config, CONFIG_SECRETS, {
+        value: packageConfig[CONFIG_SECRETS] || [],
+      });
 
       return config;
     } catch (err) {
+      if (err instanceof TenantConfigError) {
+        throw err;
+      }
       this.logger.error(
         { err },
         `Failed to load NPM tenant config for ${packageName}`
@@ -854,40 +1666,79 @@ class NPMTenantAdapter extends TenantAdapter {
     this.logger.info(`Loading package resources from: ${packagePath}`);
 
     try {
-      // Load schemas first
-      const schemaPath = path.join(packagePath, "schemas");
-      if (
-        await this.pathResolver.pathExists(schemaPath, { allowTrusted: true })
-      ) {
-        const result = await this.resourceLoader.loadSchemas(app, schemaPath, {
-          isTrustedPath: true,
-        });
-        if (result.success) {
-          tenantContext.schemas.add(schemaPath);
-          this.logger.info(`Loaded schemas for NPM tenant ${tenantId}`);
+      const loadSchemas = async () => {
+        const schemaPath = path.join(packagePath, "schemas");
+        if (
+          await this.pathResolver.pathExists(schemaPath, { allowTrusted: true })
+        ) {
+          const result = await this.resourceLoader.loadSchemas(
+            app,
+            schemaPath,
+            {
+              isTrustedPath: true,
+            }
+          );
+          if (result.success) {
+            tenantContext.schemas.add(schemaPath);
+            this.logger.info(`Loaded schemas for NPM tenant ${tenantId}`);
+          }
         }
-      }
+      };
 
-      // Load services
-      const servicesPath = path.join(packagePath, "services");
-      if (
-        await this.pathResolver.pathExists(servicesPath, { allowTrusted: true })
-      ) {
-        const services = await this.resourceLoader.loadServices(servicesPath, {
-          db: app.db,
-          config,
-          tenantId,
-          isTrustedPath: true,
-        });
+      const loadModels = async () => {
+        const modelsPath = path.join(packagePath, "models");
+        if (
+          await this.pathResolver.pathExists(modelsPath, { allowTrusted: true })
+        ) {
+          const models = await this.resourceLoader.loadModels(modelsPath, {
+            db: app.db,
+            config,
+            tenantId,
+            rowScope: app.tenantScope,
+            tenantScoped: app.isolation === "row",
+            isTrustedPath: true,
+          });
 
-        Object.entries(services).forEach(([name, service]) => {
-          tenantContext.addService(name, service);
-        });
+          Object.entries(models).forEach(([name, model]) => {
+            tenantContext.addModel(name, model);
+          });
 
-        this.logger.info(
-          `Loaded ${Object.keys(services).length} services for NPM tenant ${tenantId}`
-        );
-      }
+          this.logger.info(
+            `Loaded ${Object.keys(models).length} models for NPM tenant ${tenantId}`
+          );
+        }
+      };
+
+      const loadServices = async () => {
+        const servicesPath = path.join(packagePath, "services");
+        if (
+          await this.pathResolver.pathExists(servicesPath, {
+            allowTrusted: true,
+          })
+        ) {
+          const services = await this.resourceLoader.loadServices(
+            servicesPath,
+            { isTrustedPath: true }
+          );
+
+          Object.entries(services).forEach(([name, service]) => {
+            tenantContext.addService(name, service);
+          });
+          tenantContext.container.validate();
+          await tenantContext.container.buildSingletons();
+
+          this.logger.info(
+            `Loaded ${Object.keys(services).length} services for NPM tenant ${tenantId}`
+          );
+        }
+      };
+
+      // Schemas load side by side with the models and then the services,
+      // which get the models, before the plugins and routes that use them
+      await Promise.all([
+        loadSchemas(),
+        loadModels().then(() => loadServices()),
+      ]);
 
       // Load additional plugins
       const pluginsPath = path.join(packagePath, "plugins");
@@ -952,65 +1803,352 @@ class NPMTenantAdapter extends TenantAdapter {
 }
 
 /**
- * Tenant factory using Factory pattern
+ * Tenant configuration validation error
  */
-class TenantFactory {
-  constructor(logger, pathResolver, resourceLoader) {
-    this.logger = logger;
-    this.adapters = [
-      new LocalTenantAdapter(logger, pathResolver, resourceLoader),
-      new NPMTenantAdapter(logger, pathResolver, resourceLoader),
-    ];
+class TenantConfigError extends Error {
+  constructor(tenantId, errors) {
+    super(
+      `Invalid configuration for tenant '${tenantId}': ${errors.join("; ")}`
+    );
+    this.name = "TenantConfigError";
+    this.tenantId = tenantId;
+    this.errors = errors;
   }
+}
 
-  async createTenant(app, source, tenantId = null) {
-    // Find appropriate adapter
-    for (const adapter of this.adapters) {
-      if (await adapter.canHandle(source)) {
-        return await this.buildTenant(app, source, adapter, tenantId);
-      }
-    }
+const TENANT_ID_PATTERN = "^[a-zA-Z0-9-_]+$";
 
-    throw new Error(`No adapter found for tenant source: ${source}`);
+/**
+ * Platform-level JSON Schema for tenant configuration
+ */
+const tenantConfigSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string", pattern: TENANT_ID_PATTERN },
+    name: { type: "string", pattern: TENANT_ID_PATTERN },
+    description: { type: "string" },
+    version: { type: "string" },
+    active: { type: "boolean" },
+    dependsOn: {
+      type: "array",
+      items: { type: "string", pattern: TENANT_ID_PATTERN },
+    },
+    features: {
+      type: "object",
+      additionalProperties: { type: "boolean" },
+    },
+    limits: {
+      type: "object",
+      properties: {
+        maxUsers: { type: "integer", minimum: 0 },
+        requestsPerMinute: { type: "integer", minimum: 1 },
+        perClient: { type: "boolean" },
+        routes: {
+          type: "object",
+          additionalProperties: { type: "integer", minimum: 1 },
+        },
+      },
+      additionalProperties: { type: "number", minimum: 0 },
+    },
+    database: {
+      type: "object",
+      properties: {
+        type: { type: "string" }, // Storage of the tenant's repositories
+        directory: { type: "string" }, // For type "json"
+        isolation: { enum: ["shared", "row", "schema", "database"] },
+        url: { type: "string" },
+        schema: { type: "string", pattern: "^[a-zA-Z_][\\w]*$" },
+        database: { type: "string", pattern: "^[a-zA-Z_][\\w]*$" },
+        pool: {
+          type: "object",
+          properties: {
+            max: { type: "integer", minimum: 1 },
+            min: { type: "integer", minimum: 0 },
+            idle: { type: "integer", minimum: 0 },
+            acquire: { type: "integer", minimum: 0 },
+          },
+          additionalProperties: false,
+        },
+      },
+    },
+    integrations: {
+      type: "object",
+      additionalProperties: { type: "object" },
+    },
+    auth: {
+      type: "object",
+      properties: {
+        required: { type: "boolean" },
+        jwt: {
+          type: "object",
+          properties: {
+            issuer: { type: ["string", "array"], items: { type: "string" } },
+            audience: { type: ["string", "array"], items: { type: "string" } },
+            secret: { type: "string", minLength: 32 },
+            publicKey: { type: "string" },
+            jwks: { type: ["string", "object"] },
+            jwksCacheSeconds: { type: "integer", minimum: 0 },
+            algorithms: { type: "array", items: { type: "string" } },
+            clockTolerance: { type: "integer", minimum: 0 },
+            tenantClaim: { type: "string" },
+          },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+    session: {
+      type: "object",
+      properties: {
+        secret: { type: "string", minLength: 32 },
+        store: { enum: ["memory", "file", "redis"] },
+        ttlSeconds: { type: "integer", minimum: 60 },
+        rolling: { type: "boolean" },
+        csrf: { type: "boolean" },
+        cookieName: { type: "string", pattern: "^[\\w-]+$" },
+        domain: { type: "string" },
+        sameSite: { enum: ["strict", "lax", "none"] },
+        secure: { type: "boolean" },
+        userKey: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+    rbac: {
+      type: "object",
+      properties: {
+        roleClaim: { type: "string" },
+        anonymousRole: { type: ["string", "null"] },
+        roles: {
+          type: "object",
+          additionalProperties: {
+            type: "array",
+            items: { type: "string", pattern: "^(\\*|[\\w-]+:(\\*|[\\w-]+))$" },
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+    cors: {
+      type: "object",
+      properties: {
+        origins: { type: "array", items: { type: "string", minLength: 1 } },
+        methods: { type: "array", items: { type: "string" } },
+        allowedHeaders: { type: "array", items: { type: "string" } },
+        exposedHeaders: { type: "array", items: { type: "string" } },
+        credentials: { type: "boolean" },
+        maxAge: { type: "integer", minimum: 0 },
+      },
+      additionalProperties: false,
+    },
+    errors: {
+      type: "object",
+      propertyNames: { pattern: "^[A-Z][A-Z0-9_]*$" },
+      additionalProperties: {
+        type: "object",
+        properties: {
+          status: { type: "integer", minimum: 400, maximum: 599 },
+          title: { type: "string" },
+          type: { type: "string" },
+        },
+        additionalProperties: false,
+      },
+    },
+    settings: { type: "object" },
+
+    // Set by the adapters while loading
+    source: { type: "string" },
+    path: { type: ["string", "null"] },
+    packageName: { type: "string" },
+    packageJson: { type: "object" },
+    isTrustedPath: { type: "boolean" },
+    error: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Tenant configuration validator using JSON Schema
+ */
+class TenantConfigValidator {
+  constructor(logger, schema = tenantConfigSchema) {
+    this.logger = logger;
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+    this.validatePlatform = this.ajv.compile(schema);
   }
 
-  async buildTenant(app, source, adapter, customTenantId = null) {
-    try {
-      // Determine tenant ID
-      let tenantId = customTenantId;
+  // Validates the platform fields and, when the tenant ships a
+  // config.schema.json, its own `settings`. Throws TenantConfigError.
+  async validate(tenantId, config) {
+    const errors = [];
 
-      if (!tenantId) {
-        if (adapter.getType() === "npm") {
-          // Extract from package name
-          tenantId = source.replace(/^fastify-multitenant-/, "");
-        } else {
-          // Use directory name
-          tenantId = path.basename(source);
-        }
+    if (!this.validatePlatform(config)) {
+      errors.push(...this.validatePlatform.errors.map((e) => this.format(e)));
+    }
+
+    const settingsSchema = await this.loadSettingsSchema(config);
+    if (settingsSchema) {
+      const validateSettings = this.ajv.compile(settingsSchema);
+      if (!validateSettings(config.settings ?? {})) {
+        errors.push(
+          ...validateSettings.errors.map((e) => this.format(e, "/settings"))
+        );
       }
+      this.ajv.removeSchema(settingsSchema);
+    }
 
-      // Load configuration
-      const config = await adapter.loadConfig(source, {
-        id: tenantId,
-        name: tenantId,
-        active: true,
-        source,
-      });
+    if (errors.length > 0) {
+      throw new TenantConfigError(tenantId, errors);
+    }
+
+    return config;
+  }
+
+  async loadSettingsSchema(config) {
+    const tenantPath = config.path || config.source;
+    if (!tenantPath) {
+      return null;
+    }
+
+    const schemaFile = path.join(tenantPath, "config.schema.json");
+    try {
+      const { $id, ...schema } = JSON.parse(
+        await fs.readFile(schemaFile, "utf8")
+      );
+      return schema;
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw new Error(`Invalid settings schema ${schemaFile}: ${err.message}`);
+    }
+  }
+
+  format(error, prefix = "") {
+    const pointer = `${prefix}${error.instancePath}` || "/";
+
+    if (error.keyword === "additionalProperties") {
+      const property = error.params.additionalProperty;
+      return `${pointer === "/" ? "" : pointer}/${property}: unknown property`;
+    }
+
+    return `${pointer}: ${error.message}`;
+  }
+}
+
+/**
+ * Tenant factory using Factory pattern
+ */
+class TenantFactory {
+  constructor(logger, pathResolver, resourceLoader, tenantDispatcher) {
+    this.logger = logger;
+    this.tenantDispatcher = tenantDispatcher;
+    this.configValidator = new TenantConfigValidator(logger);
+    this.adapters = [
+      new LocalTenantAdapter(logger, pathResolver, resourceLoader),
+      new NPMTenantAdapter(logger, pathResolver, resourceLoader),
+    ];
+  }
+
+  async createTenant(app, source, tenantId = null) {
+    const descriptor = await this.describeTenant(source, tenantId);
+    return await this.buildTenant(app, descriptor);
+  }
+
+  async describeTenant(source, tenantId = null) {
+    // Find appropriate adapter
+    for (const adapter of this.adapters) {
+      if (await adapter.canHandle(source)) {
+        return await this.resolveDescriptor(source, adapter, tenantId);
+      }
+    }
+
+    throw new Error(`No adapter found for tenant source: ${source}`);
+  }
+
+  async resolveDescriptor(source, adapter, customTenantId = null) {
+    // Determine tenant ID
+    let tenantId = customTenantId;
+
+    if (!tenantId) {
+      if (adapter.getType() === "npm") {
+        // Extract from package name
+        tenantId = source.replace(/^fastify-multitenant-/, "");
+      } else {
+        // Use directory name
+        tenantId = path.basename(source);
+      }
+    }
+
+    // Load configuration
+    const config = await adapter.loadConfig(source, {
+      id: tenantId,
+      name: tenantId,
+      active: true,
+      source,
+    });
+
+    const id = config.name || tenantId;
+    config.dependsOn = this.normalizeDependencies(id, config.dependsOn);
+
+    return {
+      id,
+      source,
+      adapter,
+      type: adapter.getType(),
+      customTenantId,
+      config,
+      dependsOn: config.dependsOn,
+    };
+  }
+
+  normalizeDependencies(tenantId, dependsOn) {
+    if (dependsOn === undefined || dependsOn === null) {
+      return [];
+    }
+
+    const list = Array.isArray(dependsOn) ? dependsOn : [dependsOn];
+    const unique = [
+      ...new Set(list.map((dep) => SecurityValidator.validateTenantId(dep))),
+    ];
+
+    if (unique.includes(tenantId)) {
+      throw new Error(`Tenant '${tenantId}' cannot depend on itself`);
+    }
+
+    return unique;
+  }
+
+  async buildTenant(app, descriptor) {
+    const { source, adapter, config } = descriptor;
+
+    try {
+      // Refuse tenants whose configuration does not match the schema
+      await this.configValidator.validate(descriptor.id, config);
 
       if (!config.active) {
-        this.logger.info(`Tenant ${tenantId} is inactive, skipping`);
+        this.logger.info(`Tenant ${descriptor.id} is inactive, skipping`);
         return null;
       }
 
       // Create tenant context
-      const tenantContext = new TenantContext(
-        config.name || tenantId,
-        config,
-        adapter
+      const tenantContext = new TenantContext(descriptor.id, config, adapter);
+
+      // Load tenant resources into its own isolated instance
+      const instance = await this.tenantDispatcher.createInstance(
+        app,
+        tenantContext
       );
 
-      // Load tenant resources
-      await adapter.loadResources(app, tenantContext);
+      try {
+        await adapter.loadResources(instance, tenantContext);
+        await instance.ready();
+      } catch (err) {
+        await this.tenantDispatcher.closeInstance(tenantContext.id, instance);
+        throw err;
+      }
+
+      tenantContext.app = instance;
 
       this.logger.info(
         `Tenant '${tenantContext.id}' (${adapter.getType()}) loaded successfully`
@@ -1019,7 +2157,7 @@ class TenantFactory {
       return tenantContext;
     } catch (err) {
       this.logger.error({ err }, `Failed to build tenant from ${source}`);
-      return null;
+      throw err;
     }
   }
 }
@@ -1028,40 +2166,303 @@ class TenantFactory {
  * Tenant identification strategy interface
  */
 class TenantIdentificationStrategy {
+  constructor(source = "custom") {
+    // Reported as `request.tenantSource` when this strategy matches
+    this.source = source;
+  }
+
   extractTenantId(request) {
     throw new Error("extractTenantId must be implemented by subclass");
   }
 }
 
 /**
- * Multi-source tenant identification strategy
+ * Subdomain strategy: "acme.example.com" -> "acme"
+ */
+class SubdomainTenantStrategy extends TenantIdentificationStrategy {
+  constructor({ baseDomain = null } = {}) {
+    super("subdomain");
+    this.baseDomain = baseDomain?.toLowerCase() || null;
+  }
+
+  extractTenantId(request) {
+    const hostname = request.hostname?.toLowerCase();
+    if (!hostname || isIP(hostname)) {
+      return null;
+    }
+
+    if (this.baseDomain) {
+      if (!hostname.endsWith(`.${this.baseDomain}`)) {
+        return null;
+      }
+      const subdomain = hostname.slice(0, -this.baseDomain.length - 1);
+      return subdomain.split(".").pop();
+    }
+
+    return hostname.match(/^([^.]+)\./)?.[1] || null;
+  }
+}
+
+/**
+ * Custom domain strategy: full hostname looked up in a mapping table
+ */
+class DomainTenantStrategy extends TenantIdentificationStrategy {
+  constructor({ domains = {} } = {}) {
+    super("domain");
+    this.domains = new Map(
+      Object.entries(domains).map(([hostname, tenantId]) => [
+        hostname.toLowerCase(),
+        tenantId,
+      ])
+    );
+  }
+
+  extractTenantId(request) {
+    return this.domains.get(request.hostname?.toLowerCase()) || null;
+  }
+}
+
+/**
+ * Path prefix strategy: "/acme/users" -> "acme"
+ */
+class PathTenantStrategy extends TenantIdentificationStrategy {
+  constructor({ exclude = [] } = {}) {
+    super("path");
+    this.exclude = new Set(exclude);
+  }
+
+  extractTenantId(request) {
+    const segment = request.url?.match(/^\/([^/?#]+)/)?.[1];
+    return segment && !this.exclude.has(segment) ? segment : null;
+  }
+}
+
+/**
+ * Header strategy: "x-tenant-id: acme" -> "acme"
+ */
+class HeaderTenantStrategy extends TenantIdentificationStrategy {
+  constructor({ header = "x-tenant-id" } = {}) {
+    super("header");
+    this.header = header.toLowerCase();
+  }
+
+  extractTenantId(request) {
+    const value = request.headers[this.header];
+    return typeof value === "string" ? value : null;
+  }
+}
+
+/**
+ * Query parameter strategy: "?tenant=acme" -> "acme"
+ */
+class QueryTenantStrategy extends TenantIdentificationStrategy {
+  constructor({ parameter = "tenant" } = {}) {
+    super("query");
+    this.parameter = parameter;
+  }
+
+  extractTenantId(request) {
+    const value = request.query?.[this.parameter];
+    return typeof value === "string" ? value : null;
+  }
+}
+
+/**
+ * JWT claim strategy: reads a (dotted) claim from a bearer token.
+ * The token is only decoded here; signatures are verified per tenant.
  */
-class MultiSourceTenantStrategy extends TenantIdentificationStrategy {
+class JwtClaimTenantStrategy extends TenantIdentificationStrategy {
+  constructor({ claim = "tenantId", header = "authorization" } = {}) {
+    super("jwt");
+    this.claim = claim.split(".");
+    this.header = header.toLowerCase();
+  }
+
   extractTenantId(request) {
+    const token = request.headers[this.header]?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    const payload = token?.split(".")[1];
+    if (!payload) {
+      return null;
+    }
+
     try {
-      // Strategy 1: Check hostname subdomain
-      const hostnameMatch = request.hostname?.match(/^([^.]+)\./);
-      if (hostnameMatch) {
-        return SecurityValidator.validateTenantId(hostnameMatch[1]);
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+      const value = this.claim.reduce((node, key) => node?.[key], claims);
+      return typeof value === "string" ? value : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Ordered tenant identification using Chain of Responsibility pattern
+ */
+class TenantStrategyChain extends TenantIdentificationStrategy {
+  static strategies = {
+    subdomain: SubdomainTenantStrategy,
+    domain: DomainTenantStrategy,
+    path: PathTenantStrategy,
+    header: HeaderTenantStrategy,
+    query: QueryTenantStrategy,
+    jwt: JwtClaimTenantStrategy,
+  };
+
+  // Builds the chain from the `identification` section of the server config
+  static fromConfig(config = {}) {
+    const options = {
+      subdomain: config.subdomain,
+      domain: { domains: config.domains },
+      path: config.path,
+      header: config.header,
+      query: config.query,
+      jwt: config.jwt,
+    };
+
+    const strategies = (config.strategies || []).map((strategy) => {
+      if (strategy instanceof TenantIdentificationStrategy) {
+        return strategy;
       }
 
-      // Strategy 2: Check URL path
-      const pathMatch = request.url?.match(/^\/([^/]+)/);
-      if (pathMatch && pathMatch[1] !== "api" && pathMatch[1] !== "health") {
-        return SecurityValidator.validateTenantId(pathMatch[1]);
+      const Strategy = TenantStrategyChain.strategies[strategy];
+      if (!Strategy) {
+        throw new Error(`Unknown tenant identification strategy '${strategy}'`);
       }
+      return new Strategy(options[strategy]);
+    });
 
-      // Strategy 3: Check header
-      if (request.headers["x-tenant-id"]) {
-        return SecurityValidator.validateTenantId(
-          request.headers["x-tenant-id"]
-        );
+    return new TenantStrategyChain(strategies);
+  }
+
+  constructor(strategies = []) {
+    super("chain");
+    this.strategies = strategies;
+  }
+
+  // Returns { tenantId, source } for the first strategy naming a known
+  // tenant, otherwise the first well-formed candidate. A malformed value is
+  // reported as { tenantId: null, source, error } when nothing else matches.
+  identify(request, isKnown = () => true) {
+    let candidate = null;
+    let invalid = null;
+
+    for (const strategy of this.strategies) {
+      let value;
+      try {
+        value = strategy.extractTenantId(request);
+      } catch {
+        value = null;
       }
 
-      return "default-tenant";
-    } catch (err) {
-      return "default-tenant";
+      if (value === null || value === undefined || value === "") {
+        continue;
+      }
+
+      let tenantId;
+      try {
+        tenantId = SecurityValidator.validateTenantId(value);
+      } catch (err) {
+        invalid ??= { tenantId: null, source: strategy.source, error: err };
+        continue;
+      }
+
+      const match = { tenantId, source: strategy.source };
+      if (isKnown(tenantId)) {
+        return match;
+      }
+      candidate ??= match;
+    }
+
+    return candidate || invalid;
+  }
+
+  extractTenantId(request) {
+    return this.identify(request)?.tenantId ?? null;
+  }
+}
+
+/**
+ * Multi-source tenant identification strategy: subdomain, then first path
+ * segment (excluding `api`/`health`), then the `x-tenant-id` header
+ */
+class MultiSourceTenantStrategy extends TenantStrategyChain {
+  constructor() {
+    super([
+      new SubdomainTenantStrategy(),
+      new PathTenantStrategy({ exclude: ["api", "health"] }),
+      new HeaderTenantStrategy(),
+    ]);
+  }
+}
+
+/**
+ * Tenant dependency graph using Topological Sort
+ */
+class TenantDependencyGraph {
+  constructor(descriptors = []) {
+    this.nodes = new Map();
+    this.duplicates = [];
+
+    for (const descriptor of descriptors) {
+      if (this.nodes.has(descriptor.id)) {
+        this.duplicates.push(descriptor);
+      } else {
+        this.nodes.set(descriptor.id, descriptor);
+      }
+    }
+  }
+
+  // Returns descriptors with dependencies first, in discovery order where
+  // the graph allows it, plus an error per tenant that cannot be loaded.
+  // Tenants in `availableIds` (already loaded) satisfy dependencies.
+  resolve(availableIds = new Set()) {
+    const order = [];
+    const errors = new Map();
+    const state = new Map();
+
+    for (const duplicate of this.duplicates) {
+      errors.set(
+        duplicate,
+        `Duplicate tenant id '${duplicate.id}' (also provided by ${this.nodes.get(duplicate.id).source})`
+      );
+    }
+
+    const visit = (id, stack) => {
+      if (state.get(id) === "done") return;
+
+      if (state.get(id) === "visiting") {
+        const cycle = [...stack.slice(stack.indexOf(id)), id];
+        for (const member of cycle) {
+          errors.set(
+            this.nodes.get(member),
+            `Dependency cycle detected: ${cycle.join(" -> ")}`
+          );
+        }
+        return;
+      }
+
+      const descriptor = this.nodes.get(id);
+      state.set(id, "visiting");
+      stack.push(id);
+
+      for (const dependency of descriptor.dependsOn) {
+        if (this.nodes.has(dependency)) {
+          visit(dependency, stack);
+        } else if (!availableIds.has(dependency)) {
+          errors.set(descriptor, `Missing dependency '${dependency}'`);
+        }
+      }
+
+      stack.pop();
+      state.set(id, "done");
+      order.push(descriptor);
+    };
+
+    for (const id of this.nodes.keys()) {
+      visit(id, []);
     }
+
+    return { order, errors };
   }
 }
 
@@ -1074,6 +2475,7 @@ class TenantRegistry {
     this.tenants = new Map();
     this.maxTenants = maxTenants;
     this.identificationStrategy = new MultiSourceTenantStrategy();
+    this.fallbackTenantId = "default-tenant";
   }
 
   setIdentificationStrategy(strategy) {
@@ -1084,12 +2486,16 @@ class TenantRegistry {
   }
 
   register(tenant) {
-    if (this.tenants.size >= this.maxTenants) {
+    const replacing = this.tenants.has(tenant.id);
+
+    if (!replacing && this.tenants.size >= this.maxTenants) {
       throw new Error(`Maximum number of tenants (${this.maxTenants}) reached`);
     }
 
     this.tenants.set(tenant.id, tenant);
-    this.logger.info(`Tenant '${tenant.id}' registered in registry`);
+    this.logger.info(
+      `Tenant '${tenant.id}' ${replacing ? "replaced" : "registered"} in registry`
+    );
   }
 
   unregister(tenantId) {
@@ -1113,11 +2519,38 @@ class TenantRegistry {
   }
 
   getTenantIdFromRequest(request) {
+    return this.resolveTenantFromRequest(request).tenantId;
+  }
+
+  // Runs the identification strategy and reports which source matched
+  resolveTenantFromRequest(request) {
+    const fallback = { tenantId: this.fallbackTenantId, source: "fallback" };
+
     try {
-      return this.identificationStrategy.extractTenantId(request);
+      const strategy = this.identificationStrategy;
+      const resolution =
+        typeof strategy.identify === "function"
+          ? strategy.identify(request, (tenantId) => this.tenants.has(tenantId))
+          : {
+              tenantId: SecurityValidator.validateTenantId(
+                strategy.extractTenantId(request)
+              ),
+              source: strategy.source,
+            };
+
+      if (resolution?.tenantId) {
+        return resolution;
+      }
+
+      // Without a fallback (strict mode) report what was found, if anything
+      return this.fallbackTenantId
+        ? fallback
+        : resolution || { tenantId: null, source: null };
     } catch (err) {
       this.logger.warn({ err }, "Failed to extract tenant ID from request");
-      return "default-tenant";
+      return this.fallbackTenantId
+        ? fallback
+        : { tenantId: null, source: null, error: err };
     }
   }
 
@@ -1140,172 +2573,1489 @@ class TenantRegistry {
 }
 
 /**
- * Tenant management service using Facade pattern
+ * Per-tenant request dispatcher using Front Controller pattern
+ *
+ * Each tenant is served by its own encapsulated Fastify instance. The platform
+ * app resolves the tenant and hands the raw request over, so a tenant's
+ * routes, hooks and schemas can be swapped or removed after listen().
  */
-class TenantManager {
-  constructor(logger, pathResolver, resourceLoader, pluginManager) {
+class TenantDispatcher {
+  constructor(logger, options = {}) {
     this.logger = logger;
-    this.pathResolver = pathResolver;
-    this.resourceLoader = resourceLoader;
-    this.pluginManager = pluginManager;
-    this.tenantFactory = new TenantFactory(
-      logger,
-      pathResolver,
-      resourceLoader
-    );
-    this.tenantRegistry = new TenantRegistry(logger);
+    this.instances = new Map();
+    this.fastifyOptions = options.fastifyOptions || {};
+    this.setupInstance = options.setupInstance || null;
   }
 
-  setMaxTenants(max) {
-    this.tenantRegistry.maxTenants = max;
-  }
+  async createInstance(app, tenantContext) {
+    const instance = Fastify({
+      ...this.fastifyOptions,
+      loggerInstance: app.log.child({ tenant: tenantContext.id }),
+    });
 
-  getTenantIdFromRequest(request) {
-    return this.tenantRegistry.getTenantIdFromRequest(request);
-  }
+    if (this.setupInstance) {
+      try {
+        await this.setupInstance(instance, tenantContext, app);
+      } catch (err) {
+        // Runs the onClose hooks added so far, e.g. releasing its database
+        await this.closeInstance(tenantContext.id, instance);
+        throw err;
+      }
+    }
 
-  getTenant(tenantId) {
-    return this.tenantRegistry.getTenant(tenantId);
+    return instance;
   }
 
-  getAllTenants() {
-    return this.tenantRegistry.getAllTenants();
+  has(tenantId) {
+    return this.instances.has(tenantId);
   }
 
-  getStats() {
-    return this.tenantRegistry.getStats();
+  getInstance(tenantId) {
+    return this.instances.get(tenantId) || null;
   }
 
-  async loadTenant(app, source, customTenantId = null) {
-    try {
-      const tenant = await this.tenantFactory.createTenant(
-        app,
-        source,
-        customTenantId
-      );
+  async mount(tenantContext) {
+    const instance = tenantContext.app;
+    if (!instance) {
+      throw new Error(`Tenant ${tenantContext.id} has no instance to mount`);
+    }
 
-      if (tenant) {
-        this.tenantRegistry.register(tenant);
-        return tenant;
-      }
+    await instance.ready();
 
-      return null;
-    } catch (err) {
-      this.logger.error({ err }, `Failed to load tenant from ${source}`);
-      return null;
+    const previous = this.instances.get(tenantContext.id);
+    this.instances.set(tenantContext.id, instance);
+    this.logger.info(`Tenant '${tenantContext.id}' mounted on dispatcher`);
+    this.logger.debug(instance.printRoutes({ commonPrefix: false }));
+
+    // Swap first, then retire the old instance so no request is dropped
+    if (previous && previous !== instance) {
+      await this.closeInstance(tenantContext.id, previous);
     }
   }
 
-  async loadAllTenants(app, config) {
-    const loadResults = {
-      local: 0,
-      npm: 0,
-      failed: 0,
-    };
+  async unmount(tenantId) {
+    const instance = this.instances.get(tenantId);
+    if (!instance) {
+      return false;
+    }
 
-    // Load NPM package tenants
-    if (config.tenants?.npmPattern) {
-      try {
-        const npmPackageNames = await this.pluginManager.getNPMPluginNames(
-          config.tenants.npmPattern
-        );
+    this.instances.delete(tenantId);
+    await this.closeInstance(tenantId, instance);
+    this.logger.info(`Tenant '${tenantId}' unmounted from dispatcher`);
+    return true;
+  }
 
-        this.logger.info(
-          `🔍 Found ${npmPackageNames.length} NPM tenant packages matching pattern ${config.tenants.npmPattern}`
-        );
+  dispatch(tenantId, request, reply) {
+    const instance = this.instances.get(tenantId);
+    if (!instance) {
+      return false;
+    }
+
+    // Tenant routes are prefixed with the tenant id; requests identified by
+    // host, header, query or token are routed as if the prefix was present
+    const { raw } = request;
+    if (raw.url.match(/^\/([^/?#]+)/)?.[1] !== tenantId) {
+      raw.url = `/${tenantId}${raw.url === "/" ? "" : raw.url}`;
+    }
+    raw.tenantSource = request.tenantSource;
+
+    reply.hijack();
+    instance.routing(raw, reply.raw);
+    return true;
+  }
+
+  async closeInstance(tenantId, instance) {
+    try {
+      await instance.close();
+    } catch (err) {
+      this.logger.error(
+        { err },
+        `Failed to close instance of tenant ${tenantId}`
+      );
+    }
+  }
+
+  async closeAll() {
+    const entries = Array.from(this.instances.entries());
+    this.instances.clear();
+
+    await Promise.all(
+      entries.map(([tenantId, instance]) =>
+        this.closeInstance(tenantId, instance)
+      )
+    );
+  }
+}
+
+/**
+ * File-system watcher for local tenants using Observer pattern
+ */
+class TenantWatcher {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.debounceMs = options.debounceMs ?? 250;
+    this.onChange = options.onChange || (async () => {});
+    this.watchers = new Map(); // Tenant path -> fs.FSWatcher
+    this.pending = new Map(); // Tenant path -> { timer, files }
+    this.queues = new Map(); // Tenant path -> in-flight reload promise
+  }
+
+  watch(tenantPath) {
+    const resolved = path.resolve(tenantPath);
+    if (this.watchers.has(resolved)) {
+      return;
+    }
+
+    const watcher = watchFs(resolved, { recursive: true }, (event, filename) =>
+      this.schedule(resolved, filename)
+    );
+
+    watcher.on("error", (err) => {
+      this.logger.error({ err }, `Watcher failed for ${resolved}`);
+      this.unwatch(resolved);
+    });
+
+    this.watchers.set(resolved, watcher);
+    this.logger.info(`👀 Watching tenant directory ${resolved}`);
+  }
+
+  unwatch(tenantPath) {
+    const resolved = path.resolve(tenantPath);
+    const watcher = this.watchers.get(resolved);
+
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(resolved);
+    }
+
+    const pending = this.pending.get(resolved);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(resolved);
+    }
+  }
+
+  schedule(tenantPath, filename) {
+    const file = filename ? filename.toString() : "";
+    const segments = file.split(path.sep);
+
+    // Editors and package managers touch files that never affect a tenant
+    if (
+      segments.includes("node_modules") ||
+      segments.some((segment) => segment.startsWith(".")) ||
+      file.endsWith("~")
+    ) {
+      return;
+    }
+
+    const pending = this.pending.get(tenantPath) || { files: new Set() };
+    clearTimeout(pending.timer);
+
+    if (file) {
+      pending.files.add(file);
+    }
+
+    pending.timer = setTimeout(() => this.flush(tenantPath), this.debounceMs);
+    this.pending.set(tenantPath, pending);
+  }
+
+  flush(tenantPath) {
+    const pending = this.pending.get(tenantPath);
+    if (!pending) {
+      return Promise.resolve();
+    }
+
+    this.pending.delete(tenantPath);
+    const files = Array.from(pending.files).sort();
+
+    // Serialize reloads of the same tenant; changes made during a reload
+    // are picked up by the next one
+    const previous = this.queues.get(tenantPath) || Promise.resolve();
+    const next = previous
+      .then(() => this.onChange(tenantPath, files))
+      .catch((err) => {
+        this.logger.error({ err }, `Failed to reload tenant at ${tenantPath}`);
+      });
+
+    this.queues.set(tenantPath, next);
+    return next;
+  }
+
+  close() {
+    for (const tenantPath of Array.from(this.watchers.keys())) {
+      this.unwatch(tenantPath);
+    }
+  }
+}
+
+/**
+ * Tenant management service using Facade pattern
+ */
+class TenantManager {
+  constructor(
+    logger,
+    pathResolver,
+    resourceLoader,
+    pluginManager,
+    tenantDispatcher
+  ) {
+    this.logger = logger;
+    this.pathResolver = pathResolver;
+    this.resourceLoader = resourceLoader;
+    this.pluginManager = pluginManager;
+    this.tenantDispatcher = tenantDispatcher || new TenantDispatcher(logger);
+    this.tenantFactory = new TenantFactory(
+      logger,
+      pathResolver,
+      resourceLoader,
+      this.tenantDispatcher
+    );
+    this.tenantRegistry = new TenantRegistry(logger);
+    this.loadReport = this.createLoadReport();
+  }
+
+  createLoadReport() {
+    return {
+      startedAt: null,
+      completedAt: null,
+      summary: { local: 0, npm: 0, failed: 0 },
+      entries: [],
+    };
+  }
+
+  // Latest attempt per tenant (per source while the id is unknown), so
+  // reloads do not grow the report
+  recordLoad(entry) {
+    const key = ({ tenantId, source }) => tenantId || source;
+    this.loadReport.entries = this.loadReport.entries.filter(
+      (existing) => key(existing) !== key(entry)
+    );
+    this.loadReport.entries.push({ ...entry, at: new Date().toISOString() });
+  }
+
+  getLoadReport() {
+    return this.loadReport;
+  }
+
+  // Latest report entry of a source or tenant; loads may run concurrently,
+  // so the last entry can belong to another tenant
+  findLoadEntry({ source, tenantId }) {
+    return (
+      this.loadReport.entries.findLast(
+        (entry) =>
+          (source === undefined || entry.source === source) &&
+          (tenantId === undefined || entry.tenantId === tenantId)
+      ) || null
+    );
+  }
+
+  setMaxTenants(max) {
+    this.tenantRegistry.maxTenants = max;
+  }
+
+  setIdentificationStrategy(strategy) {
+    this.tenantRegistry.setIdentificationStrategy(strategy);
+  }
+
+  getTenantIdFromRequest(request) {
+    return this.tenantRegistry.getTenantIdFromRequest(request);
+  }
+
+  resolveTenantFromRequest(request) {
+    return this.tenantRegistry.resolveTenantFromRequest(request);
+  }
+
+  getTenant(tenantId) {
+    return this.tenantRegistry.getTenant(tenantId);
+  }
+
+  getAllTenants() {
+    return this.tenantRegistry.getAllTenants();
+  }
+
+  getStats() {
+    return this.tenantRegistry.getStats();
+  }
+
+  async loadTenant(app, source, customTenantId = null, options = {}) {
+    const startedAt = Date.now();
+
+    try {
+      const descriptor =
+        options.descriptor ||
+        (await this.tenantFactory.describeTenant(source, customTenantId));
+
+      // Dependencies must already be registered
+      const missing = descriptor.dependsOn.filter(
+        (dep) => !this.getTenant(dep)
+      );
+      if (missing.length > 0) {
+        throw new Error(
+          `Tenant '${descriptor.id}' depends on tenants that are not loaded: ${missing.join(", ")}`
+        );
+      }
+
+      const tenant = await this.tenantFactory.buildTenant(app, descriptor);
+
+      if (tenant) {
+        try {
+          this.tenantRegistry.register(tenant);
+        } catch (err) {
+          await this.tenantDispatcher.closeInstance(tenant.id, tenant.app);
+          throw err;
+        }
+
+        await this.tenantDispatcher.mount(tenant);
+        this.recordLoad({
+          source,
+          tenantId: tenant.id,
+          type: tenant.type,
+          status: "loaded",
+          durationMs: Date.now() - startedAt,
+        });
+        return tenant;
+      }
+
+      this.recordLoad({
+        source,
+        tenantId: descriptor.id,
+        status: "skipped",
+        reason: "inactive",
+        durationMs: Date.now() - startedAt,
+      });
+      return null;
+    } catch (err) {
+      this.logger.error({ err }, `Failed to load tenant from ${source}`);
+      this.recordLoad({
+        source,
+        tenantId: options.descriptor?.id || customTenantId,
+        status: "failed",
+        error: err.message,
+        ...(err.code && { code: err.code }),
+        ...(err.errors && { errors: err.errors }),
+        durationMs: Date.now() - startedAt,
+      });
+      return null;
+    }
+  }
+
+  async discoverTenantSources(config) {
+    const sources = [];
+
+    // NPM package tenants
+    if (config.tenants?.npmPattern) {
+      try {
+        const npmPackageNames = await this.pluginManager.getNPMPluginNames(
+          config.tenants.npmPattern
+        );
+
+        this.logger.info(
+          `🔍 Found ${npmPackageNames.length} NPM tenant packages matching pattern ${config.tenants.npmPattern}`
+        );
 
         for (const packageName of npmPackageNames) {
-          try {
-            const tenant = await this.loadTenant(app, packageName);
-            if (tenant) {
-              loadResults.npm++;
-              this.logger.info(
-                `✅ NPM tenant '${tenant.id}' loaded successfully`
-              );
-            } else {
-              loadResults.failed++;
-            }
-          } catch (err) {
-            this.logger.error(
-              { err },
-              `Failed to load NPM tenant ${packageName}`
-            );
-            loadResults.failed++;
+          sources.push({ source: packageName, tenantId: null });
+        }
+      } catch (err) {
+        this.logger.warn({ err }, "Failed to discover NPM tenants");
+      }
+    }
+
+    // Local tenants
+    try {
+      const localSources = await this.getLocalTenantSources();
+
+      if (localSources.length > 0) {
+        this.logger.info(
+          `🔍 Found ${localSources.length} local tenant directories`
+        );
+      }
+
+      for (const { tenantId, path: tenantDirPath } of localSources) {
+        sources.push({ source: tenantDirPath, tenantId });
+      }
+    } catch (err) {
+      this.logger.warn({ err }, "Failed to discover local tenants");
+    }
+
+    return sources;
+  }
+
+  async loadAllTenants(app, config) {
+    const loadResults = {
+      local: 0,
+      npm: 0,
+      failed: 0,
+    };
+
+    this.loadReport = this.createLoadReport();
+    this.loadReport.startedAt = new Date().toISOString();
+
+    const limiter = new TaskLimiter(config.tenants?.loadConcurrency || 1);
+    const sources = await this.discoverTenantSources(config);
+
+    // Read every tenant's configuration before loading anything, so the
+    // declared dependencies decide the load order
+    const described = await limiter.map(
+      sources,
+      async ({ source, tenantId }) => {
+        try {
+          return await this.tenantFactory.describeTenant(source, tenantId);
+        } catch (err) {
+          this.logger.error({ err }, `Failed to read tenant from ${source}`);
+          this.recordLoad({
+            source,
+            tenantId,
+            status: "failed",
+            error: err.message,
+            ...(err.errors && { errors: err.errors }),
+          });
+          loadResults.failed++;
+          return null;
+        }
+      }
+    );
+
+    const graph = new TenantDependencyGraph(described.filter(Boolean));
+    const { order, errors } = graph.resolve(
+      new Set(this.getAllTenants().map((tenant) => tenant.id))
+    );
+    const plan = order.concat(graph.duplicates);
+
+    // Each tenant starts as soon as its dependencies have settled, with at
+    // most `loadConcurrency` tenants loading at the same time
+    const pendingById = new Map();
+    const outcomes = plan.map((descriptor) => {
+      const dependencies = descriptor.dependsOn
+        .map((dep) => pendingById.get(dep))
+        .filter(Boolean);
+
+      const outcome = Promise.all(dependencies).then(() =>
+        limiter.run(() =>
+          this.loadPlannedTenant(app, descriptor, errors.get(descriptor))
+        )
+      );
+
+      if (!pendingById.has(descriptor.id)) {
+        pendingById.set(descriptor.id, outcome);
+      }
+      return outcome;
+    });
+
+    // Report results in plan order, whatever order they completed in
+    for (const { descriptor, tenant, reason } of await Promise.all(outcomes)) {
+      if (tenant) {
+        loadResults[tenant.type]++;
+        this.logger.info(
+          `✅ ${tenant.type === "npm" ? "NPM" : "Local"} tenant '${tenant.id}' loaded successfully`
+        );
+      } else {
+        loadResults.failed++;
+        if (reason) {
+          this.logger.error(`Skipping tenant '${descriptor.id}': ${reason}`);
+        }
+      }
+    }
+
+    const rank = new Map(
+      plan.map((descriptor, index) => [descriptor.source, index])
+    );
+    this.loadReport.entries.sort(
+      (a, b) => (rank.get(a.source) ?? -1) - (rank.get(b.source) ?? -1)
+    );
+
+    const totalLoaded = loadResults.local + loadResults.npm;
+    this.logger.info(
+      `🧩 Tenant loading complete: ${totalLoaded} successful (${loadResults.local} local, ${loadResults.npm} npm), ${loadResults.failed} failed`
+    );
+
+    this.loadReport.completedAt = new Date().toISOString();
+    this.loadReport.summary = loadResults;
+
+    return totalLoaded > 0;
+  }
+
+  async loadPlannedTenant(app, descriptor, planError = null) {
+    const unloadedDependency = descriptor.dependsOn.find(
+      (dep) => !this.getTenant(dep)
+    );
+    const reason =
+      planError ||
+      (unloadedDependency &&
+        `Dependency '${unloadedDependency}' failed to load`);
+
+    if (reason) {
+      this.recordLoad({
+        source: descriptor.source,
+        tenantId: descriptor.id,
+        status: "skipped",
+        reason,
+      });
+      return { descriptor, tenant: null, reason };
+    }
+
+    const tenant = await this.loadTenant(
+      app,
+      descriptor.source,
+      descriptor.customTenantId,
+      { descriptor }
+    );
+
+    return { descriptor, tenant, reason: null };
+  }
+
+  getDependents(tenantId) {
+    return this.getAllTenants().filter((tenant) =>
+      tenant.dependsOn.includes(tenantId)
+    );
+  }
+
+  async getLocalTenantSources() {
+    const tenantsPath = path.join(this.pathResolver.baseDir, "tenants");
+
+    if (!(await this.pathResolver.pathExists(tenantsPath))) {
+      return [];
+    }
+
+    const tenantDirs = (await fs.readdir(tenantsPath)).filter(
+      (dir) => !dir.startsWith(".")
+    );
+
+    const sources = [];
+    for (const tenantId of tenantDirs) {
+      const tenantDirPath = path.join(tenantsPath, tenantId);
+      const stat = await fs.stat(tenantDirPath);
+
+      if (stat.isDirectory()) {
+        sources.push({ tenantId, path: tenantDirPath });
+      }
+    }
+
+    return sources;
+  }
+
+  findTenantBySource(source) {
+    return (
+      this.getAllTenants().find((tenant) => tenant.config.source === source) ||
+      null
+    );
+  }
+
+  invalidateSource(source) {
+    const clearedResources = this.resourceLoader.invalidate(source);
+    const clearedPlugins = this.pluginManager.invalidate(source);
+
+    this.logger.debug(
+      `Invalidated ${clearedResources} cached resources and ${clearedPlugins} cached plugins under ${source}`
+    );
+  }
+
+  async reloadTenant(app, tenantId, options = {}) {
+    const existingTenant = this.getTenant(tenantId);
+    if (!existingTenant) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+
+    // Get source from existing tenant
+    const source = existingTenant.config.source;
+
+    // Drop cached modules so edited files are imported again
+    if (options.fresh && existingTenant.type === "local") {
+      this.invalidateSource(source);
+    }
+
+    // Build the replacement alongside the running tenant; the dispatcher
+    // swaps instances once it is ready, so a failed reload keeps the old one
+    const tenant = await this.loadTenant(app, source, tenantId);
+
+    if (!tenant) {
+      this.logger.warn(
+        `Reload of tenant ${tenantId} failed, keeping previous instance`
+      );
+      return null;
+    }
+
+    if (tenant.id !== tenantId) {
+      await this.unloadTenant(tenantId);
+    }
+
+    return tenant;
+  }
+
+  async unloadTenant(tenantId) {
+    const dependents = this.getDependents(tenantId).map((tenant) => tenant.id);
+    if (dependents.length > 0) {
+      this.logger.warn(
+        `Unloading tenant '${tenantId}' still required by: ${dependents.join(", ")}`
+      );
+    }
+
+    const success = this.tenantRegistry.unregister(tenantId);
+    await this.tenantDispatcher.unmount(tenantId);
+    return success;
+  }
+
+  setTenantActive(tenantId, active) {
+    const tenant = this.getTenant(tenantId);
+    if (!tenant) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+
+    tenant.active = active;
+    this.logger.info(
+      `Tenant '${tenantId}' ${active ? "activated" : "deactivated"}`
+    );
+    return tenant;
+  }
+}
+
+/**
+ * In-memory usage store using Repository pattern
+ */
+class MemoryUsageStore {
+  constructor() {
+    this.documents = new Map();
+  }
+
+  async load(tenantId) {
+    const document = this.documents.get(tenantId);
+    return document ? structuredClone(document) : null;
+  }
+
+  async save(tenantId, document) {
+    this.documents.set(tenantId, structuredClone(document));
+  }
+}
+
+/**
+ * File usage store using Repository pattern: one JSON file per tenant
+ */
+class FileUsageStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  fileFor(tenantId) {
+    return path.join(
+      this.directory,
+      `${SecurityValidator.validateTenantId(tenantId)}.json`
+    );
+  }
+
+  async load(tenantId) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(tenantId), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async save(tenantId, document) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write then rename, so a crash never leaves a truncated file
+    const file = this.fileFor(tenantId);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(document, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  }
+}
+
+// limits key -> metered value. Other "max<Name>" limits cap records of that
+// type, e.g. maxUsers -> records.users
+const PERIOD_QUOTAS = {
+  maxRequestsPerPeriod: (usage) => usage.requests,
+  maxBytesPerPeriod: (usage) => usage.bytesIn + usage.bytesOut,
+};
+
+/**
+ * Usage metering and quota enforcement using Facade pattern.
+ * Requests and bytes are counted per billing period; records and storage
+ * are running totals. Counters are persisted by the store on flush.
+ */
+class UsageMeter {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.store = options.store || new MemoryUsageStore();
+    this.period = options.period || "month";
+    this.documents = new Map();
+    this.dirty = new Set();
+    this.locks = new Map(); // key -> tail of the steps queued on it
+    this.timer = null;
+
+    if (options.flushIntervalMs > 0) {
+      this.timer = setInterval(() => this.flush(), options.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  // Billing period key: "2026-10" (month) or "2026-10-19" (day), UTC
+  periodKey(date = new Date()) {
+    const iso = date.toISOString();
+    return this.period === "day" ? iso.slice(0, 10) : iso.slice(0, 7);
+  }
+
+  async getDocument(tenantId) {
+    if (!this.documents.has(tenantId)) {
+      // Cache the pending load so concurrent callers share one document
+      const pending = this.store.load(tenantId).then(
+        (document) =>
+          document || {
+            tenantId,
+            periods: {},
+            records: {},
+            storage: {},
+            storageBytes: 0,
           }
+      );
+      pending.catch(() => this.documents.delete(tenantId));
+      this.documents.set(tenantId, pending);
+    }
+    return await this.documents.get(tenantId);
+  }
+
+  async getPeriod(tenantId, period = this.periodKey()) {
+    const document = await this.getDocument(tenantId);
+    document.periods[period] ??= { requests: 0, bytesIn: 0, bytesOut: 0 };
+    return document.periods[period];
+  }
+
+  async recordRequest(tenantId, bytesIn = 0) {
+    const usage = await this.getPeriod(tenantId);
+    usage.requests++;
+    usage.bytesIn += bytesIn;
+    this.dirty.add(tenantId);
+  }
+
+  async recordResponse(tenantId, bytesOut = 0) {
+    const usage = await this.getPeriod(tenantId);
+    usage.bytesOut += bytesOut;
+    this.dirty.add(tenantId);
+  }
+
+  async adjustRecords(tenantId, type, delta) {
+    const document = await this.getDocument(tenantId);
+    document.records[type] = Math.max(0, (document.records[type] || 0) + delta);
+    this.dirty.add(tenantId);
+    return document.records[type];
+  }
+
+  async setRecords(tenantId, type, count) {
+    const document = await this.getDocument(tenantId);
+    document.records[type] = count;
+    this.dirty.add(tenantId);
+    return count;
+  }
+
+  // Runs the steps queued on one key one at a time
+  serialize(key, step) {
+    const result = (this.locks.get(key) || Promise.resolve()).then(step);
+    const tail = result.catch(() => {});
+    this.locks.set(key, tail);
+    tail.then(() => {
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    });
+    return result;
+  }
+
+  // Bytes held by one source of tenant data, e.g. a collection file;
+  // storageBytes is the total over the sources
+  async setStorage(tenantId, source, bytes) {
+    const document = await this.getDocument(tenantId);
+    document.storage ??= {}; // Documents persisted before per-source sizes
+    document.storage[source] = bytes;
+    document.storageBytes = Object.values(document.storage).reduce(
+      (total, size) => total + size,
+      0
+    );
+    this.dirty.add(tenantId);
+    return document.storageBytes;
+  }
+
+  // Throws QuotaExceededError when adding `amount` would exceed the limit.
+  // `metric` is a limits key: maxRequestsPerPeriod, maxBytesPerPeriod,
+  // maxStorageBytes or max<Records> (maxUsers).
+  async assertQuota(tenantId, limits = {}, metric, amount = 1) {
+    const limit = limits[metric];
+    if (typeof limit !== "number") {
+      return;
+    }
+
+    const period = this.periodKey();
+    let used;
+
+    if (PERIOD_QUOTAS[metric]) {
+      used = PERIOD_QUOTAS[metric](await this.getPeriod(tenantId, period));
+    } else if (metric === "maxStorageBytes") {
+      used = (await this.getDocument(tenantId)).storageBytes;
+    } else {
+      const type = metric.charAt(3).toLowerCase() + metric.slice(4);
+      used = (await this.getDocument(tenantId)).records[type] || 0;
+    }
+
+    if (used + amount > limit) {
+      throw new QuotaExceededError(
+        `Quota exceeded for tenant '${tenantId}': ${metric} limit is ${limit}`,
+        { metric, limit, used, period }
+      );
+    }
+  }
+
+  // Usage of one tenant for a period (current period by default)
+  async getUsage(tenantId, period = this.periodKey(), limits = {}) {
+    const document = await this.getDocument(tenantId);
+    const usage = document.periods[period] || {
+      requests: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+    };
+
+    return {
+      tenantId,
+      period,
+      ...usage,
+      records: { ...document.records },
+      storage: { ...document.storage },
+      storageBytes: document.storageBytes,
+      limits: Object.fromEntries(
+        Object.entries(limits).filter(([key]) => key.startsWith("max"))
+      ),
+    };
+  }
+
+  async listPeriods(tenantId) {
+    return Object.keys((await this.getDocument(tenantId)).periods).sort();
+  }
+
+  forTenant(tenant) {
+    return new TenantUsage(this, tenant);
+  }
+
+  async flush() {
+    const tenantIds = Array.from(this.dirty);
+    this.dirty.clear();
+
+    await Promise.all(
+      tenantIds.map(async (tenantId) => {
+        try {
+          await this.store.save(tenantId, await this.getDocument(tenantId));
+        } catch (err) {
+          this.dirty.add(tenantId);
+          this.logger.error({ err }, `Failed to persist usage of ${tenantId}`);
         }
+      })
+    );
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+}
+
+/**
+ * Tenant-scoped view of the usage meter, handed to tenant services.
+ * Limits are read live so a reloaded config applies immediately.
+ */
+class TenantUsage {
+  constructor(meter, tenant) {
+    this.meter = meter;
+    this.tenant = tenant;
+  }
+
+  get limits() {
+    return this.tenant.config.limits || {};
+  }
+
+  // e.g. assertAvailable("users") checks limits.maxUsers
+  async assertAvailable(type, amount = 1) {
+    const metric = `max${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+    await this.meter.assertQuota(this.tenant.id, this.limits, metric, amount);
+  }
+
+  // Quota check, creation and count as one step per tenant and type, so
+  // concurrent creates cannot pass the limit together. `count` returns the
+  // records actually stored, which replaces the persisted running total.
+  async createRecord(type, create, { count, amount = 1 } = {}) {
+    return await this.meter.serialize(`${this.tenant.id}:${type}`, async () => {
+      if (count) {
+        await this.meter.setRecords(this.tenant.id, type, await count());
+      }
+      await this.assertAvailable(type, amount);
+      const created = await create();
+      await this.recordCreated(type, amount);
+      return created;
+    });
+  }
+
+  async recordCreated(type, amount = 1) {
+    return await this.meter.adjustRecords(this.tenant.id, type, amount);
+  }
+
+  async recordDeleted(type, amount = 1) {
+    return await this.meter.adjustRecords(this.tenant.id, type, -amount);
+  }
+
+  // Called with the new size of a source before it is written, so growth
+  // past limits.maxStorageBytes is refused; shrinking always passes
+  async setStorage(source, bytes) {
+    const { storage = {} } = await this.meter.getDocument(this.tenant.id);
+    const growth = bytes - (storage[source] || 0);
+    if (growth > 0) {
+      await this.meter.assertQuota(
+        this.tenant.id,
+        this.limits,
+        "maxStorageBytes",
+        growth
+      );
+    }
+    return await this.meter.setStorage(this.tenant.id, source, bytes);
+  }
+
+  async getUsage(period) {
+    return await this.meter.getUsage(this.tenant.id, period, this.limits);
+  }
+}
+
+/**
+ * Failed tenant migration; the tenant answers 503 until migrations succeed
+ */
+class TenantMigrationError extends AppError {
+  constructor(tenantId, migration, cause) {
+    super(
+      `Migration '${migration}' failed for tenant '${tenantId}': ${cause.message}`,
+      { status: 503, code: "TENANT_MIGRATION_FAILED", migration, cause }
+    );
+  }
+}
+
+// "001_users.up.sql" + "001_users.down.sql", "001_users.sql" (no rollback)
+// or "002_roles.mjs" exporting up() and down()
+const MIGRATION_FILE = /^(\d+[\w-]*?)(?:\.(up|down))?\.(sql|mjs|js)$/;
+const MIGRATION_DIRS = ["migrations", path.join("database", "migrations")];
+
+// First existing directory of a tenant, e.g. migrations/ or database/migrations/
+const findTenantDirectory = async (pathResolver, tenant, dirs) => {
+  const tenantPath = tenant.config.path || tenant.config.source;
+  for (const dir of dirs) {
+    const dirPath = path.join(tenantPath, dir);
+    if (
+      await pathResolver.pathExists(dirPath, {
+        allowTrusted: tenant.config.isTrustedPath,
+      })
+    ) {
+      return dirPath;
+    }
+  }
+  return null;
+};
+
+/**
+ * Tenant schema migrations using Command pattern. Each migration runs in a
+ * transaction together with its row in the metadata table, which records
+ * applied migrations per tenant.
+ */
+class TenantMigrator {
+  constructor(logger, pathResolver, options = {}) {
+    this.logger = logger;
+    this.pathResolver = pathResolver;
+    this.table = options.table || "tenant_migrations";
+  }
+
+  // Migrations ordered by name: [{ name, up, down, module }]
+  async discover(tenant) {
+    const migrationsPath = await findTenantDirectory(
+      this.pathResolver,
+      tenant,
+      MIGRATION_DIRS
+    );
+    if (!migrationsPath) {
+      return [];
+    }
+
+    const migrations = new Map();
+    for (const file of await fs.readdir(migrationsPath)) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) {
+        continue;
+      }
+
+      const [, name, direction, extension] = match;
+      const migration = migrations.get(name) || { name };
+      if (extension === "sql") {
+        migration[direction || "up"] = path.join(migrationsPath, file);
+      } else {
+        migration.module = path.join(migrationsPath, file);
+      }
+      migrations.set(name, migration);
+    }
+
+    return [...migrations.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+
+  async metadata(db) {
+    const Migration =
+      db.models.TenantMigration ||
+      db.define(
+        "TenantMigration",
+        {
+          tenantId: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+            field: "tenant_id",
+          },
+          name: { type: DataTypes.STRING(255), primaryKey: true },
+          appliedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: "applied_at",
+          },
+        },
+        { tableName: this.table, timestamps: false, tenantScoped: false }
+      );
+
+    await Migration.sync();
+    return Migration;
+  }
+
+  // SQLite runs a single statement per query; other dialects take the file
+  statements(db, sql) {
+    if (db.getDialect() !== "sqlite") {
+      return [sql];
+    }
+
+    return sql
+      .replace(/^\s*--.*$/gm, "")
+      .split(/;\s*(?:\r?\n|$)/)
+      .map((statement) => statement.trim())
+      .filter(Boolean);
+  }
+
+  async execute(db, tenant, migration, direction, transaction) {
+    if (migration.module) {
+      const module = await import(
+        this.pathResolver.toModuleUrl(migration.module)
+      );
+      const step = module[direction] || module.default?.[direction];
+      if (typeof step !== "function") {
+        throw new Error(`${migration.name} does not export ${direction}()`);
+      }
+
+      return step({
+        db,
+        queryInterface: db.getQueryInterface(),
+        DataTypes,
+        transaction,
+        tenant: { id: tenant.id, config: tenant.config },
+      });
+    }
+
+    if (!migration[direction]) {
+      throw new Error(`${migration.name} has no ${direction}.sql file`);
+    }
+
+    const sql = await fs.readFile(migration[direction], "utf8");
+    for (const statement of this.statements(db, sql)) {
+      await db.query(statement, { transaction });
+    }
+  }
+
+  async applied(db, tenantId) {
+    const Migration = await this.metadata(db);
+    const rows = await Migration.findAll({
+      where: { tenantId },
+      order: [["name", "ASC"]],
+    });
+    return { Migration, rows };
+  }
+
+  async migrate(tenant, db) {
+    const migrations = await this.discover(tenant);
+    if (migrations.length === 0) {
+      return { applied: [] };
+    }
+
+    const { Migration, rows } = await this.applied(db, tenant.id);
+    const done = new Set(rows.map((row) => row.name));
+    const applied = [];
+
+    for (const migration of migrations.filter((m) => !done.has(m.name))) {
+      try {
+        await db.transaction(async (transaction) => {
+          await this.execute(db, tenant, migration, "up", transaction);
+          await Migration.create(
+            {
+              tenantId: tenant.id,
+              name: migration.name,
+              appliedAt: new Date(),
+            },
+            { transaction }
+          );
+        });
       } catch (err) {
-        this.logger.warn({ err }, "Failed to load NPM tenants");
+        throw new TenantMigrationError(tenant.id, migration.name, err);
       }
+
+      applied.push(migration.name);
+      this.logger.info(
+        { tenant: tenant.id, migration: migration.name },
+        "Applied migration"
+      );
     }
 
-    // Load local tenants
-    try {
-      const tenantsPath = path.join(this.pathResolver.baseDir, "tenants");
+    return { applied };
+  }
 
-      if (await this.pathResolver.pathExists(tenantsPath)) {
-        const tenantDirs = (await fs.readdir(tenantsPath)).filter(
-          (dir) => !dir.startsWith(".")
-        );
+  async rollback(tenant, db, { steps = 1 } = {}) {
+    const migrations = new Map(
+      (await this.discover(tenant)).map((migration) => [
+        migration.name,
+        migration,
+      ])
+    );
+    const { Migration, rows } = await this.applied(db, tenant.id);
+    const rolledBack = [];
 
-        this.logger.info(
-          `🔍 Found ${tenantDirs.length} local tenant directories`
-        );
+    for (const row of rows.reverse().slice(0, steps)) {
+      const migration = migrations.get(row.name);
+      if (!migration) {
+        throw new Error(`Migration file for '${row.name}' not found`);
+      }
 
-        for (const tenantId of tenantDirs) {
-          try {
-            const tenantDirPath = path.join(tenantsPath, tenantId);
-            const stat = await fs.stat(tenantDirPath);
+      await db.transaction(async (transaction) => {
+        await this.execute(db, tenant, migration, "down", transaction);
+        await Migration.destroy({
+          where: { tenantId: tenant.id, name: row.name },
+          transaction,
+        });
+      });
 
-            if (!stat.isDirectory()) continue;
+      rolledBack.push(row.name);
+      this.logger.info(
+        { tenant: tenant.id, migration: row.name },
+        "Rolled back migration"
+      );
+    }
 
-            const tenant = await this.loadTenant(app, tenantDirPath, tenantId);
-            if (tenant) {
-              loadResults.local++;
-              this.logger.info(
-                `✅ Local tenant '${tenant.id}' loaded successfully`
-              );
-            } else {
-              loadResults.failed++;
-            }
-          } catch (err) {
-            this.logger.error(
-              { err },
-              `Failed to load local tenant ${tenantId}`
-            );
-            loadResults.failed++;
-          }
+    return { rolledBack };
+  }
+
+  // Every known migration with its state; applied ones without a file are
+  // reported as missing
+  async status(tenant, db) {
+    const migrations = await this.discover(tenant);
+    const { rows } = await this.applied(db, tenant.id);
+    const appliedAt = new Map(rows.map((row) => [row.name, row.appliedAt]));
+
+    return [
+      ...migrations.map(({ name }) => ({
+        name,
+        applied: appliedAt.has(name),
+        appliedAt: appliedAt.get(name) || null,
+      })),
+      ...rows
+        .filter((row) => !migrations.some((m) => m.name === row.name))
+        .map((row) => ({
+          name: row.name,
+          applied: true,
+          appliedAt: row.appliedAt,
+          missing: true,
+        })),
+    ];
+  }
+}
+
+/**
+ * Failed tenant seed; invalid seed data is a 422, anything else a 500
+ */
+class TenantSeedError extends AppError {
+  constructor(tenantId, seed, cause) {
+    super(`Seed '${seed}' failed for tenant '${tenantId}': ${cause.message}`, {
+      status: cause.statusCode < 500 ? 422 : 500,
+      code: "TENANT_SEED_FAILED",
+      errors: cause.errors,
+      seed,
+      cause,
+    });
+  }
+}
+
+// "001_users.json" or "002_demo.mjs", applied in name order
+const SEED_FILE = /^([\w-]+)\.(json|mjs|js)$/;
+const SEED_DIRS = ["seeds", path.join("database", "seeds")];
+
+/**
+ * Tenant seed data using Command pattern. Records go through the tenant's
+ * services, so their validation applies; applied seeds are recorded per
+ * tenant and environment and never run twice.
+ *
+ * JSON: { "service": "userService", "method": "create", "records": [...],
+ *         "environments": ["development"] }
+ * JS: default export ({ services, db, tenant, environment }) and an optional
+ *     `environments` export
+ */
+class TenantSeeder {
+  constructor(logger, pathResolver, options = {}) {
+    this.logger = logger;
+    this.pathResolver = pathResolver;
+    this.table = options.table || "tenant_seeds";
+    this.environment =
+      options.environment || process.env.NODE_ENV || "development";
+  }
+
+  // Seeds ordered by name: [{ name, file, type }]
+  async discover(tenant) {
+    const seedsPath = await findTenantDirectory(
+      this.pathResolver,
+      tenant,
+      SEED_DIRS
+    );
+    if (!seedsPath) {
+      return [];
+    }
+
+    return (await fs.readdir(seedsPath))
+      .map((file) => file.match(SEED_FILE))
+      .filter(Boolean)
+      .map(([file, name, extension]) => ({
+        name,
+        file: path.join(seedsPath, file),
+        type: extension === "json" ? "json" : "module",
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async load(seed) {
+    if (seed.type === "json") {
+      const data = JSON.parse(await fs.readFile(seed.file, "utf8"));
+      return { environments: data.environments, data };
+    }
+
+    const module = await import(this.pathResolver.toModuleUrl(seed.file));
+    const run = module.default || module.seed;
+    if (typeof run !== "function") {
+      throw new Error(`${seed.name} does not export a seed function`);
+    }
+    return { environments: module.environments, run };
+  }
+
+  async metadata(db) {
+    const Seed =
+      db.models.TenantSeed ||
+      db.define(
+        "TenantSeed",
+        {
+          tenantId: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+            field: "tenant_id",
+          },
+          environment: { type: DataTypes.STRING(64), primaryKey: true },
+          name: { type: DataTypes.STRING(255), primaryKey: true },
+          appliedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: "applied_at",
+          },
+        },
+        { tableName: this.table, timestamps: false, tenantScoped: false }
+      );
+
+    await Seed.sync();
+    return Seed;
+  }
+
+  // Records already present (409 from the service) count as skipped, so a
+  // seed that failed halfway can simply be run again
+  async insert(tenant, { service, method = "create", records = [] }) {
+    const target = tenant.getService(service);
+    if (typeof target?.[method] !== "function") {
+      throw new Error(`Service ${service}.${method}() not found`);
+    }
+
+    const counts = { created: 0, skipped: 0 };
+    for (const record of records) {
+      try {
+        await target[method](record);
+        counts.created++;
+      } catch (err) {
+        if (err.statusCode !== 409) {
+          throw err;
         }
+        counts.skipped++;
       }
-    } catch (err) {
-      this.logger.warn({ err }, "Failed to load local tenants");
     }
+    return counts;
+  }
 
-    const totalLoaded = loadResults.local + loadResults.npm;
-    this.logger.info(
-      `🧩 Tenant loading complete: ${totalLoaded} successful (${loadResults.local} local, ${loadResults.npm} npm), ${loadResults.failed} failed`
+  async seed(tenant, db) {
+    const environment = this.environment;
+    const seeds = await this.discover(tenant);
+    if (seeds.length === 0) {
+      return { environment, applied: [] };
+    }
+
+    const Seed = await this.metadata(db);
+    const done = new Set(
+      (await Seed.findAll({ where: { tenantId: tenant.id, environment } })).map(
+        (row) => row.name
+      )
     );
+    const applied = [];
 
-    return totalLoaded > 0;
+    for (const seed of seeds.filter(({ name }) => !done.has(name))) {
+      let result;
+      try {
+        const { environments, data, run } = await this.load(seed);
+        if (environments && !environments.includes(environment)) {
+          continue;
+        }
+
+        result = data
+          ? await this.insert(tenant, data)
+          : await run({
+              services: tenant.services,
+              db,
+              tenant: { id: tenant.id, config: tenant.config },
+              environment,
+            });
+        await Seed.create({
+          tenantId: tenant.id,
+          environment,
+          name: seed.name,
+          appliedAt: new Date(),
+        });
+      } catch (err) {
+        throw new TenantSeedError(tenant.id, seed.name, err);
+      }
+
+      applied.push({ name: seed.name, ...(result && { result }) });
+      this.logger.info(
+        { tenant: tenant.id, seed: seed.name, environment },
+        "Applied seed"
+      );
+    }
+
+    return { environment, applied };
   }
 
-  async reloadTenant(app, tenantId) {
-    const existingTenant = this.getTenant(tenantId);
-    if (!existingTenant) {
-      throw new Error(`Tenant ${tenantId} not found`);
+  async status(tenant, db) {
+    const environment = this.environment;
+    const Seed = await this.metadata(db);
+    const appliedAt = new Map(
+      (await Seed.findAll({ where: { tenantId: tenant.id, environment } })).map(
+        (row) => [row.name, row.appliedAt]
+      )
+    );
+
+    return Promise.all(
+      (await this.discover(tenant)).map(async (seed) => {
+        const { environments } = await this.load(seed);
+        return {
+          name: seed.name,
+          environment,
+          applies: !environments || environments.includes(environment),
+          applied: appliedAt.has(seed.name),
+          appliedAt: appliedAt.get(seed.name) || null,
+        };
+      })
+    );
+  }
+}
+
+/**
+ * Error responses using RFC 7807 Problem Details
+ */
+class ProblemResponder {
+  constructor(options = {}) {
+    // Problem "type" URIs are `${typeBaseUrl}/<code>`; about:blank without it
+    this.typeBaseUrl = options.typeBaseUrl?.replace(/\/$/, "") || null;
+    this.exposeInternals = options.exposeInternals === true;
+  }
+
+  // Schema validation errors from Fastify: one entry per failing field
+  validationDetails(error) {
+    return error.validation.map((issue) => {
+      const pointer = issue.instancePath?.replace(/^\//, "").split("/") || [];
+      const property =
+        issue.params?.missingProperty || issue.params?.additionalProperty;
+
+      return {
+        in: error.validationContext,
+        field: [...pointer, property].filter(Boolean).join(".") || null,
+        message: issue.message,
+        keyword: issue.keyword,
+      };
+    });
+  }
+
+  build(error, request) {
+    let status = error.statusCode >= 400 ? error.statusCode : 500;
+    let { code, title, type, errors } = error;
+
+    if (error.validation) {
+      code = "VALIDATION_FAILED";
+      errors = this.validationDetails(error);
     }
 
-    // Get source from existing tenant
-    const source = existingTenant.config.source;
+    // Codes registered by the tenant (config `errors` or registerErrorCode)
+    const registered = code && request.tenant?.errorCodes?.get(code);
+    if (registered) {
+      // A status given by the thrower wins over the registered one
+      if (!(error instanceof AppError) || error.defaultStatus) {
+        status = registered.status || status;
+      }
+      title ??= registered.title;
+      type ??= registered.type;
+    }
 
-    // Unregister existing tenant
-    this.tenantRegistry.unregister(tenantId);
+    const internal = status >= 500 && !this.exposeInternals;
+    // Errors without a code get one from the status: 429 TOO_MANY_REQUESTS
+    code ||=
+      status >= 500
+        ? "INTERNAL_ERROR"
+        : (STATUS_CODES[status] || "Error").toUpperCase().replace(/\W+/g, "_");
+
+    const problem = {
+      type:
+        type ||
+        (this.typeBaseUrl && code
+          ? `${this.typeBaseUrl}/${code.toLowerCase().replace(/_/g, "-")}`
+          : "about:blank"),
+      title: title || STATUS_CODES[status] || "Error",
+      status,
+      detail: internal ? "Internal server error" : error.message,
+      instance: request.url,
+      code,
+      tenantId: request.tenantId || undefined,
+      requestId: request.id,
+      ...(errors && { errors }),
+      ...(this.exposeInternals && status >= 500 && { stack: error.stack }),
+    };
 
-    // Reload tenant
-    return await this.loadTenant(app, source, tenantId);
+    // Extensions never replace the standard members
+    for (const [name, value] of Object.entries(
+      (error instanceof AppError && error.extensions) || {}
+    )) {
+      if (!(name in problem)) {
+        problem[name] = value;
+      }
+    }
+    return problem;
   }
 
-  async unloadTenant(tenantId) {
-    return this.tenantRegistry.unregister(tenantId);
+  send(error, request, reply) {
+    const problem = this.build(error, request);
+    return reply
+      .code(problem.status)
+      .type("application/problem+json")
+      .send(problem);
   }
 }
 
@@ -1319,7 +4069,16 @@ class MultiTenantServer {
     this.resourceLoader = null;
     this.pluginManager = null;
     this.tenantManager = null;
+    this.tenantDispatcher = null;
+    this.tenantWatcher = null;
+    this.usageMeter = null;
+    this.problemResponder = null;
+    this.migrator = null;
+    this.seeder = null;
     this.app = null;
+
+    // Parent of every tenant's service container
+    this.platformServices = new ServiceContainer();
   }
 
   async start(options = {}) {
@@ -1343,134 +4102,481 @@ class MultiTenantServer {
         trustProxy: true,
       });
 
+      this.problemResponder = new ProblemResponder({
+        typeBaseUrl: config.errors?.typeBaseUrl,
+        exposeInternals: config.errors?.exposeInternals,
+      });
+
       // Initialize managers with logger
-      this.resourceLoader = new ResourceLoader(this.app.log, this.pathResolver);
+      this.resourceLoader = new ResourceLoader(
+        this.app.log,
+        this.pathResolver,
+        {
+          concurrency: config.tenants?.resourceConcurrency,
+        }
+      );
       this.pluginManager = new PluginManager(this.app.log, this.pathResolver);
+      this.migrator = new TenantMigrator(
+        this.app.log,
+        this.pathResolver,
+        config.migrations
+      );
+      this.seeder = new TenantSeeder(
+        this.app.log,
+        this.pathResolver,
+        config.seeds
+      );
+      this.tenantDispatcher = new TenantDispatcher(this.app.log, {
+        fastifyOptions: {
+          trustProxy: true,
+          // The platform app already logs each request
+          logController: new LogController({ disableRequestLogging: true }),
+        },
+        setupInstance: (instance, tenant) =>
+          this.setupTenantInstance(instance, tenant),
+      });
       this.tenantManager = new TenantManager(
         this.app.log,
         this.pathResolver,
         this.resourceLoader,
-        this.pluginManager
+        this.pluginManager,
+        this.tenantDispatcher
       );
 
+      for (const deprecation of this.configManager.deprecations) {
+        this.app.log.warn(deprecation);
+      }
+
       // Set max tenants from config
-      this.tenantManager.setMaxTenants(config.tenants?.maxConcurrent || 50);
+      this.tenantManager.setMaxTenants(config.tenants?.maxTenants || 50);
+
+      // Tenant identification chain; strict mode has no fallback tenant
+      const identification = config.identification || {};
+      this.tenantManager.setIdentificationStrategy(
+        TenantStrategyChain.fromConfig(identification)
+      );
+      this.tenantManager.tenantRegistry.fallbackTenantId = identification.strict
+        ? null
+        : identification.fallback || "default-tenant";
 
       // Decorate app with managers
       this.app.decorate("tenantManager", this.tenantManager);
       this.app.decorate("resourceLoader", this.resourceLoader);
       this.app.decorate("pluginManager", this.pluginManager);
       this.app.decorate("configManager", this.configManager);
+      this.app.decorate("tenantDispatcher", this.tenantDispatcher);
+
+      // Platform services tenant services can inject
+      this.registerPlatformService("tenantManager", this.tenantManager);
+      this.registerPlatformService("pluginManager", this.pluginManager);
+      this.registerPlatformService("configManager", this.configManager);
+
+      // Close tenant instances together with the platform app
+      this.app.addHook("onClose", async () => {
+        await this.tenantDispatcher.closeAll();
+      });
+
+      // Usage metering, persisted on flush and when the server closes
+      if (config.metering?.enabled !== false) {
+        this.usageMeter = this.createUsageMeter(config.metering);
+        this.app.decorate("usageMeter", this.usageMeter);
+        this.registerPlatformService("usageMeter", this.usageMeter);
+        this.app.addHook("onClose", async () => {
+          await this.usageMeter.close();
+        });
+      }
 
       // Setup request hooks
-      this.setupRequestHooks();
+      this.setupRequestHooks(config);
 
       // Setup health check endpoint
       this.setupHealthCheck();
 
-      // Load core plugins
-      await this.loadCorePlugins(config);
+      // Setup tenant management API
+      this.setupAdminRoutes(config);
+
+      // Load core plugins
+      await this.loadCorePlugins(config);
+
+      // Load NPM plugins (separate from tenants)
+      await this.pluginManager.loadNPMPlugins(
+        this.app,
+        config.plugins?.npmPattern || "fastify-multitenant-*"
+      );
+
+      // Load all tenants
+      await this.tenantManager.loadAllTenants(this.app, config);
+
+      // Reload local tenants on file changes (development)
+      if (config.tenants?.watch?.enabled) {
+        await this.setupTenantWatcher(config);
+      }
+
+      // Setup graceful shutdown
+      this.setupGracefulShutdown();
+
+      // Start server
+      await this.app.listen({
+        port: config.server.port,
+        host: config.server.host,
+      });
+
+      this.app.log.info(`Server listening on port ${config.server.port}`);
+      this.app.log.info(
+        `✅ Loaded ${this.tenantManager.getAllTenants().length} tenants`
+      );
+
+      // Setup ready hook
+      this.app.ready(async () => {
+        this.app.log.info("Server routes:");
+        this.app.log.info(this.app.printRoutes({ commonPrefix: false }));
+
+        // Only sync database if explicitly configured for development
+        if (process.env.NODE_ENV === "development" && this.app.db?.sync) {
+          this.app.log.warn("Running database sync in development mode");
+          await this.app.db.sync({ force: false });
+        }
+      });
+
+      return this.app;
+    } catch (err) {
+      this.app?.log?.error({ err }, "Failed to start server") ||
+        console.error("Failed to start server:", err);
+      throw err;
+    }
+  }
+
+  setupRequestHooks(config = this.configManager.get()) {
+    const identification = config.identification || {};
+    const strict = identification.strict === true;
+    const platformPaths = [
+      ...(identification.platformPaths || []),
+      ...(config.admin?.enabled !== false ? [config.admin?.prefix] : []),
+    ].filter(Boolean);
+
+    // Request logging and tenant resolution
+    this.app.addHook("onRequest", async (request, reply) => {
+      if (this.isPlatformPath(request.url, platformPaths)) {
+        return;
+      }
+
+      let resolution;
+      try {
+        resolution = this.tenantManager.resolveTenantFromRequest(request);
+      } catch (err) {
+        request.log.error({ err }, "Error in tenant resolution");
+        throw new ValidationError("Invalid tenant identifier", {
+          code: "TENANT_INVALID",
+        });
+      }
+
+      const { tenantId, source } = resolution;
+      const tenant = tenantId ? this.tenantManager.getTenant(tenantId) : null;
+
+      request.tenantId = tenantId;
+      request.tenantSource = source;
+      request.tenant = tenant;
+      request.log = request.log.child({
+        tenant: tenantId,
+        tenantSource: source,
+      });
+
+      if (strict && !tenantId) {
+        throw resolution.error
+          ? new ValidationError("Invalid tenant identifier", {
+              code: "TENANT_INVALID",
+            })
+          : new ValidationError("Tenant identifier required", {
+              code: "TENANT_REQUIRED",
+            });
+      }
+
+      // Strict mode answers inactive tenants like unknown ones
+      if (strict && !tenant?.active) {
+        throw new NotFoundError(`Tenant '${tenantId}' not found`, {
+          code: "TENANT_NOT_FOUND",
+        });
+      }
+
+      if (tenant && !tenant.active) {
+        throw new AppError(`Tenant '${tenantId}' is inactive`, {
+          status: 503,
+          code: "TENANT_INACTIVE",
+        });
+      }
+
+      // Hand the request over to the tenant's own instance
+      if (tenant && this.tenantDispatcher.dispatch(tenant.id, request, reply)) {
+        return;
+      }
+
+      if (strict || (!tenant && request.url.startsWith("/api/"))) {
+        throw new NotFoundError(`Tenant '${tenantId}' not found`, {
+          code: "TENANT_NOT_FOUND",
+        });
+      }
+    });
+
+    this.setupResponseHooks(this.app);
+  }
+
+  // "/health", "/health/db" and "/health?x" match "/health"; "/healthz" does not
+  isPlatformPath(url, platformPaths) {
+    const pathname = url.split("?")[0];
+    return platformPaths.some(
+      (prefix) => pathname === prefix || pathname.startsWith(`${prefix}/`)
+    );
+  }
+
+  setupResponseHooks(instance) {
+    // Security headers
+    instance.addHook("onSend", async (request, reply, payload) => {
+      reply.header("X-Content-Type-Options", "nosniff");
+      reply.header("X-Frame-Options", "DENY");
+      reply.header("X-XSS-Protection", "1; mode=block");
+      return payload;
+    });
+
+    // Errors and unknown routes are answered as application/problem+json
+    instance.setErrorHandler(async (error, request, reply) => {
+      if ((error.statusCode || 500) >= 500) {
+        request.log.error({ err: error }, "Request error");
+      } else {
+        request.log.info({ err: error }, "Request rejected");
+      }
+
+      return this.problemResponder.send(error, request, reply);
+    });
+
+    instance.setNotFoundHandler(async (request, reply) => {
+      return this.problemResponder.send(
+        new NotFoundError(`Route ${request.method} ${request.url} not found`, {
+          code: "ROUTE_NOT_FOUND",
+        }),
+        request,
+        reply
+      );
+    });
+  }
+
+  async setupTenantInstance(instance, tenant) {
+    const config = this.configManager.get();
 
-      // Load NPM plugins (separate from tenants)
-      await this.pluginManager.loadNPMPlugins(
-        this.app,
-        config.plugins?.npmPattern || "fastify-multitenant-*"
+    instance.decorate("tenantManager", this.tenantManager);
+    instance.decorate("resourceLoader", this.resourceLoader);
+    instance.decorate("pluginManager", this.pluginManager);
+    instance.decorate("configManager", this.configManager);
+
+    // The tenant's connection for its isolation mode (shared by default)
+    if (this.app.hasDecorator("db")) {
+      const { tenantDatabases } = this.app;
+      instance.decorate(
+        "db",
+        tenantDatabases?.forTenant(tenant) ?? this.app.db
       );
+      // An isolated connection is closed with the last instance using it,
+      // including one whose load failed
+      if (tenantDatabases) {
+        instance.addHook("onClose", () =>
+          tenantDatabases.release(tenant.id, instance.db)
+        );
+      }
 
-      // Load all tenants
-      await this.tenantManager.loadAllTenants(this.app, config);
+      // Filled from models/ once the tenant's resources load
+      instance.decorate("models", tenant.models);
+      instance.decorate(
+        "isolation",
+        tenantDatabases?.isolationFor(tenant) ?? "shared"
+      );
 
-      // Setup graceful shutdown
-      this.setupGracefulShutdown();
+      // Row-level isolation: this tenant's requests run in its tenant scope
+      if (this.app.tenantScope) {
+        instance.decorate("tenantScope", this.app.tenantScope);
+        instance.addHook("onRequest", (request, reply, done) =>
+          this.app.tenantScope.run(tenant.id, done)
+        );
+      }
 
-      // Start server
-      await this.app.listen({
-        port: config.server.port,
-        host: config.server.host,
-      });
+      // Pending migrations run before the tenant is served; a failure fails
+      // the load
+      if (config.migrations?.runOnLoad) {
+        await this.runTenantMigrations(tenant, instance.db);
+      }
 
-      this.app.log.info(`Server listening on port ${config.server.port}`);
-      this.app.log.info(
-        `✅ Loaded ${this.tenantManager.getAllTenants().length} tenants`
-      );
+      // Development seeds once the services are loaded; a seed failure is
+      // logged and leaves the tenant serving
+      if (config.seeds?.runOnLoad) {
+        instance.addHook("onReady", async () => {
+          try {
+            await this.runInTenantScope(tenant, () =>
+              this.seeder.seed(tenant, instance.db)
+            );
+          } catch (err) {
+            instance.log.error({ err }, "Tenant seeding failed");
+          }
+        });
+      }
+    }
 
-      // Setup ready hook
-      this.app.ready(async () => {
-        this.app.log.info("Server routes:");
-        this.app.log.info(this.app.printRoutes({ commonPrefix: false }));
+    // Live lookup of declared dependencies, so a reloaded dependency is seen
+    instance.decorate("getTenantDependency", (dependencyId) => {
+      if (!tenant.dependsOn.includes(dependencyId)) {
+        throw new Error(
+          `Tenant '${tenant.id}' does not declare a dependency on '${dependencyId}'`
+        );
+      }
+      return this.tenantManager.getTenant(dependencyId);
+    });
 
-        // Only sync database if explicitly configured for development
-        if (process.env.NODE_ENV === "development" && this.app.db?.sync) {
-          this.app.log.warn("Running database sync in development mode");
-          await this.app.db.sync({ force: false });
-        }
+    // Tenant error codes: registerErrorCode("PAYMENT_REQUIRED", { status: 402 })
+    // then throw fastify.createError("PAYMENT_REQUIRED", "Card declined")
+    instance.decorate("registerErrorCode", (code, definition) =>
+      tenant.registerErrorCode(code, definition)
+    );
+    instance.decorate("createError", (code, message, extensions = {}) => {
+      const definition = tenant.errorCodes.get(code);
+      if (!definition) {
+        throw new Error(`Unknown error code '${code}' for tenant ${tenant.id}`);
+      }
+      return new AppError(message || definition.title, {
+        ...definition,
+        ...extensions,
+        code,
       });
+    });
 
-      return this.app;
-    } catch (err) {
-      this.app?.log?.error({ err }, "Failed to start server") ||
-        console.error("Failed to start server:", err);
-      throw err;
+    instance.addHook("onRequest", async (request, reply) => {
+      request.tenantId = tenant.id;
+      request.tenantSource = request.raw.tenantSource;
+      request.tenant = tenant;
+
+      if (tenant.migrationError) {
+        throw tenant.migrationError;
+      }
+    });
+
+    if (this.usageMeter) {
+      this.setupUsageHooks(instance, tenant);
     }
+
+    this.setupServiceContainer(instance, tenant);
+    this.setupResponseHooks(instance);
+
+    // Tenant-scoped core plugins receive the tenant context in their options
+    const tenantPlugins = config.plugins?.tenantOrder || [];
+    const pluginOptions = Object.fromEntries(
+      tenantPlugins.map((name) => [
+        name,
+        { ...(config.plugins?.[name] || {}), tenant },
+      ])
+    );
+
+    await this.pluginManager.loadLocalPlugins(
+      instance,
+      tenantPlugins,
+      pluginOptions
+    );
   }
 
-  setupRequestHooks() {
-    // Request logging and tenant resolution
-    this.app.addHook("onRequest", async (request, reply) => {
-      try {
-        const tenantId = this.tenantManager.getTenantIdFromRequest(request);
-        const tenant = this.tenantManager.getTenant(tenantId);
+  // Shared with tenant services that declare it in `inject`
+  registerPlatformService(name, service) {
+    this.platformServices.registerValue(name, service);
+  }
 
-        request.tenantId = tenantId;
-        request.tenant = tenant;
-        request.log = request.log.child({ tenant: tenantId });
+  // What tenant services can inject besides each other and platform
+  // services, and the request scope for request-scoped services
+  setupServiceContainer(instance, tenant) {
+    const { container } = tenant;
+    container.parent = this.platformServices;
+
+    const provided = {
+      db: instance.db ?? null,
+      config: tenant.config,
+      logger: instance.log,
+      tenantId: tenant.id,
+      tenant,
+      models: tenant.models,
+      usage: instance.usage ?? null,
+    };
+    // Third argument of services without an `inject` declaration
+    provided.context = {
+      tenantId: tenant.id,
+      usage: instance.usage,
+      models: tenant.models,
+    };
+    for (const [name, value] of Object.entries(provided)) {
+      container.registerValue(name, value, { provided: true });
+    }
 
-        if (!tenant && request.url.startsWith("/api/")) {
-          reply.code(404).send({
-            success: false,
-            error: `Tenant '${tenantId}' not found`,
-            availableTenants: this.tenantManager
-              .getAllTenants()
-              .map((t) => t.id),
-          });
-        }
-      } catch (err) {
-        request.log.error({ err }, "Error in tenant resolution");
-        reply.code(400).send({
-          success: false,
-          error: "Invalid tenant identifier",
-        });
-      }
+    instance.decorateRequest("services", null);
+    instance.decorateRequest("getService", function (name) {
+      return this.services.get(name);
+    });
+    instance.addHook("onRequest", async (request, reply) => {
+      request.services = container.createScope(request);
     });
+  }
 
-    // Security headers
-    this.app.addHook("onSend", async (request, reply, payload) => {
-      reply.header("X-Content-Type-Options", "nosniff");
-      reply.header("X-Frame-Options", "DENY");
-      reply.header("X-XSS-Protection", "1; mode=block");
-      return payload;
+  createUsageMeter(meteringConfig = {}) {
+    const { store = "file" } = meteringConfig;
+    let usageStore = store;
+
+    if (store === "memory") {
+      usageStore = new MemoryUsageStore();
+    } else if (store === "file") {
+      usageStore = new FileUsageStore(
+        path.resolve(meteringConfig.directory || ".usage")
+      );
+    } else if (typeof store?.load !== "function") {
+      throw new Error(`Unknown metering store '${store}'`);
+    }
+
+    return new UsageMeter(this.app.log, {
+      store: usageStore,
+      period: meteringConfig.period,
+      flushIntervalMs: meteringConfig.flushIntervalMs,
     });
+  }
 
-    // Error handling
-    this.app.setErrorHandler(async (error, request, reply) => {
-      request.log.error({ err: error }, "Request error");
+  setupUsageHooks(instance, tenant) {
+    const usage = this.usageMeter.forTenant(tenant);
+    instance.decorate("usage", usage);
 
-      const isDev = process.env.NODE_ENV === "development";
+    // Period quotas are checked before the request is counted
+    instance.addHook("onRequest", async (request, reply) => {
+      const bytesIn = Number(request.headers["content-length"]) || 0;
+      const { limits } = usage;
 
-      reply.code(error.statusCode || 500).send({
-        success: false,
-        error: isDev ? error.message : "Internal server error",
-        ...(isDev && { stack: error.stack }),
-      });
+      await this.usageMeter.assertQuota(
+        tenant.id,
+        limits,
+        "maxRequestsPerPeriod"
+      );
+      await this.usageMeter.assertQuota(
+        tenant.id,
+        limits,
+        "maxBytesPerPeriod",
+        bytesIn
+      );
+      await this.usageMeter.recordRequest(tenant.id, bytesIn);
+    });
+
+    // Streamed responses without a content-length are not counted
+    instance.addHook("onResponse", async (request, reply) => {
+      const bytesOut = Number(reply.getHeader("content-length")) || 0;
+      await this.usageMeter.recordResponse(tenant.id, bytesOut);
     });
   }
 
   setupHealthCheck() {
     this.app.get("/health", async (request, reply) => {
       const tenantStats = this.tenantManager.getStats();
+      const database = this.app.database?.describe();
 
       return {
-        status: "healthy",
+        status:
+          !database || database.status === "connected" ? "healthy" : "degraded",
+        database,
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
@@ -1479,6 +4585,18 @@ class MultiTenantServer {
       };
     });
 
+    // Live database check for readiness probes
+    this.app.get("/health/db", async (request, reply) => {
+      if (!this.app.database) {
+        throw new NotFoundError("No database configured");
+      }
+
+      const database = await this.app.database.check();
+      return reply
+        .code(database.status === "connected" ? 200 : 503)
+        .send(database);
+    });
+
     this.app.get("/tenants", async (request, reply) => {
       const tenants = this.tenantManager.getAllTenants().map((t) => t.toJSON());
 
@@ -1490,6 +4608,323 @@ class MultiTenantServer {
     });
   }
 
+  setupAdminRoutes(config) {
+    const adminConfig = config.admin || {};
+
+    if (adminConfig.enabled === false) {
+      return;
+    }
+
+    if (!adminConfig.token) {
+      this.app.log.warn(
+        "Admin API disabled: no admin.token (ADMIN_TOKEN) configured"
+      );
+      return;
+    }
+
+    const tenantManager = this.tenantManager;
+    const tenantIdParams = {
+      type: "object",
+      properties: {
+        tenantId: { type: "string", pattern: "^[a-zA-Z0-9-_]+$" },
+      },
+      required: ["tenantId"],
+    };
+
+    const requireTenant = (request) => {
+      const tenant = tenantManager.getTenant(request.params.tenantId);
+      if (!tenant) {
+        throw new NotFoundError(
+          `Tenant '${request.params.tenantId}' not found`,
+          { code: "TENANT_NOT_FOUND" }
+        );
+      }
+      return tenant;
+    };
+
+    const describeTenant = (tenant) => ({
+      ...tenant.toJSON(),
+      mounted: this.tenantDispatcher.has(tenant.id),
+    });
+
+    this.app.register(
+      async (admin) => {
+        // Every admin request must carry the configured credential
+        admin.addHook("onRequest", async (request, reply) => {
+          const header = request.headers.authorization || "";
+          const provided = header.startsWith("Bearer ")
+            ? header.slice(7)
+            : request.headers["x-admin-token"];
+
+          if (!SecurityValidator.safeCompare(provided, adminConfig.token)) {
+            request.log.warn(
+              { admin: { action: `${request.method} ${request.url}` } },
+              "Rejected unauthenticated admin request"
+            );
+            throw new UnauthorizedError("Admin credential required");
+          }
+        });
+
+        // Audit trail of every admin action
+        admin.addHook("onResponse", async (request, reply) => {
+          request.log.info(
+            {
+              admin: {
+                action: `${request.method} ${request.routeOptions.url}`,
+                tenant: request.params?.tenantId,
+                statusCode: reply.statusCode,
+                ip: request.ip,
+              },
+            },
+            "Admin action"
+          );
+        });
+
+        admin.get("/tenants", async () => {
+          const tenants = tenantManager.getAllTenants().map(describeTenant);
+          return { success: true, data: tenants, count: tenants.length };
+        });
+
+        admin.get(
+          "/tenants/:tenantId",
+          { schema: { params: tenantIdParams } },
+          async (request, reply) => {
+            const tenant = requireTenant(request);
+
+            return {
+              success: true,
+              data: {
+                ...describeTenant(tenant),
+                routeTree: tenant.app?.printRoutes({ commonPrefix: false }),
+              },
+            };
+          }
+        );
+
+        admin.post(
+          "/tenants",
+          {
+            schema: {
+              body: {
+                type: "object",
+                properties: {
+                  source: { type: "string", minLength: 1 },
+                  tenantId: { type: "string", pattern: "^[a-zA-Z0-9-_]+$" },
+                },
+                required: ["source"],
+                additionalProperties: false,
+              },
+            },
+          },
+          async (request, reply) => {
+            const { source, tenantId } = request.body;
+
+            // Local paths are resolved against the server base directory,
+            // anything else is treated as an npm package name
+            const isLocalPath =
+              path.isAbsolute(source) || source.startsWith(".");
+            const resolvedSource = isLocalPath
+              ? this.pathResolver.resolvePath(source)
+              : source;
+
+            const tenant = await tenantManager.loadTenant(
+              this.app,
+              resolvedSource,
+              tenantId || null
+            );
+
+            if (!tenant) {
+              throw new AppError(`Failed to load tenant from ${source}`, {
+                status: 422,
+                code: "TENANT_LOAD_FAILED",
+                details: tenantManager.findLoadEntry({
+                  source: resolvedSource,
+                }),
+              });
+            }
+
+            if (this.tenantWatcher && tenant.type === "local") {
+              this.tenantWatcher.watch(tenant.config.source);
+            }
+
+            reply.code(201);
+            return { success: true, data: describeTenant(tenant) };
+          }
+        );
+
+        admin.post(
+          "/tenants/:tenantId/reload",
+          { schema: { params: tenantIdParams } },
+          async (request, reply) => {
+            const existing = requireTenant(request);
+
+            const tenant = await tenantManager.reloadTenant(
+              this.app,
+              existing.id,
+              { fresh: true }
+            );
+
+            if (!tenant) {
+              throw new AppError(
+                `Failed to reload tenant '${existing.id}', previous version kept`,
+                {
+                  status: 422,
+                  code: "TENANT_RELOAD_FAILED",
+                  details: tenantManager.findLoadEntry({
+                    tenantId: existing.id,
+                  }),
+                }
+              );
+            }
+
+            return { success: true, data: describeTenant(tenant) };
+          }
+        );
+
+        admin.delete(
+          "/tenants/:tenantId",
+          { schema: { params: tenantIdParams } },
+          async (request, reply) => {
+            const tenant = requireTenant(request);
+
+            await tenantManager.unloadTenant(tenant.id);
+            return { success: true, data: { id: tenant.id, unloaded: true } };
+          }
+        );
+
+        for (const [action, active] of [
+          ["activate", true],
+          ["deactivate", false],
+        ]) {
+          admin.post(
+            `/tenants/:tenantId/${action}`,
+            { schema: { params: tenantIdParams } },
+            async (request, reply) => {
+              const tenant = requireTenant(request);
+
+              tenantManager.setTenantActive(tenant.id, active);
+              return { success: true, data: describeTenant(tenant) };
+            }
+          );
+        }
+
+        admin.get(
+          "/tenants/:tenantId/usage",
+          {
+            schema: {
+              params: tenantIdParams,
+              querystring: {
+                type: "object",
+                properties: {
+                  period: {
+                    type: "string",
+                    pattern: "^\\d{4}-\\d{2}(-\\d{2})?$",
+                  },
+                },
+              },
+            },
+          },
+          async (request, reply) => {
+            const { tenantId } = request.params;
+            const usage = await this.getTenantUsage(
+              tenantId,
+              request.query.period
+            );
+
+            if (!usage) {
+              throw new NotFoundError("Usage metering is disabled", {
+                code: "METERING_DISABLED",
+              });
+            }
+
+            return {
+              success: true,
+              data: {
+                ...usage,
+                periods: await this.usageMeter.listPeriods(tenantId),
+              },
+            };
+          }
+        );
+
+        admin.get(
+          "/tenants/:tenantId/migrations",
+          { schema: { params: tenantIdParams } },
+          async (request) => ({
+            success: true,
+            data: await this.getMigrationStatus(request.params.tenantId),
+          })
+        );
+
+        admin.post(
+          "/tenants/:tenantId/migrations/up",
+          { schema: { params: tenantIdParams } },
+          async (request) => ({
+            success: true,
+            data: await this.migrateTenant(request.params.tenantId),
+          })
+        );
+
+        admin.post(
+          "/tenants/:tenantId/migrations/down",
+          {
+            schema: {
+              params: tenantIdParams,
+              body: {
+                type: ["object", "null"],
+                properties: { steps: { type: "integer", minimum: 1 } },
+                additionalProperties: false,
+              },
+            },
+          },
+          async (request) => ({
+            success: true,
+            data: await this.rollbackTenant(
+              request.params.tenantId,
+              request.body || {}
+            ),
+          })
+        );
+
+        admin.get(
+          "/tenants/:tenantId/seeds",
+          { schema: { params: tenantIdParams } },
+          async (request) => ({
+            success: true,
+            data: await this.getSeedStatus(request.params.tenantId),
+          })
+        );
+
+        admin.post(
+          "/tenants/:tenantId/seeds",
+          { schema: { params: tenantIdParams } },
+          async (request) => ({
+            success: true,
+            data: await this.seedTenant(request.params.tenantId),
+          })
+        );
+
+        admin.get(
+          "/tenants/:tenantId/permissions",
+          { schema: { params: tenantIdParams } },
+          async (request, reply) => {
+            const tenant = requireTenant(request);
+
+            return {
+              success: true,
+              data: this.getRoutePermissions(tenant.id),
+            };
+          }
+        );
+
+        admin.get("/load-report", async () => {
+          return { success: true, data: tenantManager.getLoadReport() };
+        });
+      },
+      { prefix: adminConfig.prefix || "/admin" }
+    );
+  }
+
   async loadCorePlugins(config) {
     const pluginsDir = path.join(this.pathResolver.baseDir, "plugins");
 
@@ -1523,6 +4958,71 @@ class MultiTenantServer {
     }
   }
 
+  async setupTenantWatcher(config) {
+    this.tenantWatcher = new TenantWatcher(this.app.log, {
+      debounceMs: config.tenants.watch.debounceMs,
+      onChange: (tenantPath, files) =>
+        this.handleTenantChange(tenantPath, files),
+    });
+
+    // Watch every local directory, including tenants that failed to load
+    const sources = await this.tenantManager.getLocalTenantSources();
+    for (const source of sources) {
+      this.tenantWatcher.watch(source.path);
+    }
+
+    this.app.addHook("onClose", async () => {
+      this.tenantWatcher.close();
+    });
+  }
+
+  async handleTenantChange(tenantPath, files) {
+    const startedAt = Date.now();
+    const existing = this.tenantManager.findTenantBySource(tenantPath);
+    let tenant;
+
+    if (existing) {
+      tenant = await this.tenantManager.reloadTenant(this.app, existing.id, {
+        fresh: true,
+      });
+    } else {
+      // Not loaded yet (or failed last time): try again with fresh modules
+      this.tenantManager.invalidateSource(tenantPath);
+      tenant = await this.tenantManager.loadTenant(
+        this.app,
+        tenantPath,
+        path.basename(tenantPath)
+      );
+    }
+
+    const summary = {
+      tenant: tenant?.id || existing?.id || path.basename(tenantPath),
+      files,
+      durationMs: Date.now() - startedAt,
+      success: Boolean(tenant),
+    };
+
+    if (tenant) {
+      Object.assign(summary, {
+        services: tenant.listServices().length,
+        plugins: tenant.plugins.size,
+        routes: tenant.routes.size,
+        schemas: tenant.schemas.size,
+      });
+      this.app.log.info(
+        summary,
+        `🔁 Tenant '${summary.tenant}' reloaded in ${summary.durationMs}ms (${files.length} changed files)`
+      );
+    } else {
+      this.app.log.warn(
+        summary,
+        `Tenant '${summary.tenant}' reload failed, previous version kept`
+      );
+    }
+
+    return summary;
+  }
+
   setupGracefulShutdown() {
     const closeListeners = closeWithGrace(
       { delay: 500 },
@@ -1568,6 +5068,10 @@ class MultiTenantServer {
       throw new Error(`Failed to initialize tenant ${tenantId}`);
     }
 
+    if (this.tenantWatcher && tenant.type === "local") {
+      this.tenantWatcher.watch(tenant.config.source);
+    }
+
     return tenant;
   }
 
@@ -1579,10 +5083,105 @@ class MultiTenantServer {
     return await this.tenantManager.reloadTenant(this.app, tenantId);
   }
 
+  async unloadTenant(tenantId) {
+    if (!this.app) {
+      throw new Error("Server not started. Call start() first.");
+    }
+
+    return await this.tenantManager.unloadTenant(tenantId);
+  }
+
   async getTenantStats() {
     return this.tenantManager.getStats();
   }
 
+  async runTenantMigrations(tenant, db) {
+    try {
+      const result = await this.migrator.migrate(tenant, db);
+      tenant.migrationError = null;
+      return result;
+    } catch (err) {
+      tenant.migrationError = err;
+      throw err;
+    }
+  }
+
+  requireTenantDatabase(tenantId) {
+    const tenant = this.tenantManager.getTenant(tenantId);
+    if (!tenant?.app) {
+      throw new NotFoundError(`Tenant '${tenantId}' not found`, {
+        code: "TENANT_NOT_FOUND",
+      });
+    }
+    if (!tenant.app.hasDecorator("db")) {
+      throw new Error(`Tenant '${tenantId}' has no database`);
+    }
+    return tenant;
+  }
+
+  // On-demand migration; until it succeeds the tenant answers 503
+  async migrateTenant(tenantId) {
+    const tenant = this.requireTenantDatabase(tenantId);
+    return await this.runTenantMigrations(tenant, tenant.app.db);
+  }
+
+  async rollbackTenant(tenantId, options = {}) {
+    const tenant = this.requireTenantDatabase(tenantId);
+    return await this.migrator.rollback(tenant, tenant.app.db, options);
+  }
+
+  async getMigrationStatus(tenantId) {
+    const tenant = this.requireTenantDatabase(tenantId);
+    return await this.migrator.status(tenant, tenant.app.db);
+  }
+
+  // Work outside a request, such as seeding, on the tenant's scoped models
+  runInTenantScope(tenant, fn) {
+    return this.app.tenantScope
+      ? this.app.tenantScope.run(tenant.id, fn)
+      : fn();
+  }
+
+  async seedTenant(tenantId) {
+    const tenant = this.requireTenantDatabase(tenantId);
+    return await this.runInTenantScope(tenant, () =>
+      this.seeder.seed(tenant, tenant.app.db)
+    );
+  }
+
+  async getSeedStatus(tenantId) {
+    const tenant = this.requireTenantDatabase(tenantId);
+    return await this.seeder.status(tenant, tenant.app.db);
+  }
+
+  // Permissions and roles required by each route of a mounted tenant
+  getRoutePermissions(tenantId) {
+    const tenant = this.tenantManager.getTenant(tenantId);
+    return {
+      routes: tenant?.app?.routePermissions || [],
+      roles: Object.fromEntries(
+        [...(tenant?.app?.rolePolicy.roles || [])].map(([role, granted]) => [
+          role,
+          [...granted],
+        ])
+      ),
+    };
+  }
+
+  // Usage of a tenant (loaded or not) for a period, current one by default
+  async getTenantUsage(tenantId, period) {
+    if (!this.usageMeter) {
+      return null;
+    }
+
+    const tenant = this.tenantManager.getTenant(tenantId);
+    return await this.usageMeter.getUsage(
+      SecurityValidator.validateTenantId(tenantId),
+      period,
+      tenant?.config.limits
+    );
+  }
+
   async stop() {
     if (this.app) {
       await this.app.close();
@@ -1606,17 +5205,41 @@ export {
   MultiTenantServer,
   ConfigurationManager,
   PluginManager,
+  TaskLimiter,
   TenantManager,
   TenantRegistry,
+  TenantDependencyGraph,
+  TenantDispatcher,
+  TenantWatcher,
   TenantFactory,
+  TenantConfigValidator,
+  TenantConfigError,
+  tenantConfigSchema,
   ResourceLoader,
   PathResolver,
   SecurityValidator,
   TenantContext,
+  ServiceContainer,
   TenantAdapter,
   LocalTenantAdapter,
   NPMTenantAdapter,
+  UsageMeter,
+  TenantUsage,
+  MemoryUsageStore,
+  FileUsageStore,
+  QuotaExceededError,
+  TenantMigrator,
+  TenantMigrationError,
+  TenantSeeder,
+  TenantSeedError,
   TenantIdentificationStrategy,
+  TenantStrategyChain,
+  SubdomainTenantStrategy,
+  DomainTenantStrategy,
+  PathTenantStrategy,
+  HeaderTenantStrategy,
+  QueryTenantStrategy,
+  JwtClaimTenantStrategy,
   MultiSourceTenantStrategy,
 };
 
@@ -1636,7 +5259,7 @@ export default {
 /**
  * Auto-start server if this file is run directly
  */
-if (import.meta.url === `file://${__filename}`) {
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
   start().catch((err) => {
     console.error("Failed to start server:", err);
     process.exit(1);
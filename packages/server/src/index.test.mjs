@@ -1,25 +1,3185 @@
 // test/server.test.mjs
-import { test } from "node:test";
-import { MultiTenantServer } from "./index.mjs";
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync } from "node:crypto";
+import { mkdir, mkdtemp, rm, stat, writeFile } from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Fastify from "fastify";
+import jwt from "jsonwebtoken";
+import { DataTypes } from "sequelize";
+import defineUser from "./tenants/default-tenant/models/user.mjs";
+import createUserService, {
+  UserRepository,
+} from "./tenants/default-tenant/services/userService.mjs";
+import { SequelizeStorageAdapter } from "./tenants/default-tenant/lib/storage.mjs";
+import {
+  ConfigurationManager,
+  FileUsageStore,
+  MultiTenantServer,
+  PathResolver,
+  PluginManager,
+  ResourceLoader,
+  ServiceContainer,
+  TenantContext,
+  TenantDispatcher,
+  TenantManager,
+  TenantStrategyChain,
+  UsageMeter,
+} from "./index.mjs";
+import { JwksKeyStore } from "./plugins/auth/index.mjs";
+import { FileSessionStore } from "./plugins/cookie/index.mjs";
+import { resolveCorsPolicy } from "./plugins/cors/index.mjs";
+import {
+  createSequelize,
+  DatabaseConnection,
+  TenantRowScope,
+} from "./plugins/database/index.mjs";
 
-test("should start server successfully", async (t) => {
+// Keep usage files written by test servers out of the working tree
+process.env.USAGE_DIR ??= path.join(os.tmpdir(), "tenant-usage-tests");
+
+test("should start server successfully", async () => {
   const server = new MultiTenantServer({
     server: { port: 0 }, // Use random port for testing
+    logger: { level: "silent" },
+    plugins: { database: { dialect: "sqlite" } },
+  });
+
+  try {
+    const app = await server.start();
+    assert.ok(app.server.listening);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("should load tenant correctly", async () => {
+  const tenantDir = path.join(
+    await mkdtemp(path.join(os.tmpdir(), "load-")),
+    "test-tenant"
+  );
+  await mkdir(tenantDir);
+  await writeFile(path.join(tenantDir, "config.json"), "{}");
+
+  const server = new MultiTenantServer({
+    server: { port: 0 },
+    logger: { level: "silent" },
+    plugins: { database: { dialect: "sqlite" } },
+  });
+
+  try {
+    await server.start();
+    const tenant = await server.initTenant(tenantDir);
+
+    assert.equal(tenant.id, "test-tenant");
+    assert.equal(tenant.active, true);
+  } finally {
+    await server.stop();
+    await rm(path.dirname(tenantDir), { recursive: true, force: true });
+  }
+});
+
+describe("TenantDispatcher", () => {
+  let server;
+  let app;
+  let tenantDir;
+
+  before(async () => {
+    tenantDir = await mkdtemp(path.join(os.tmpdir(), "hot-swap-"));
+    await mkdir(path.join(tenantDir, "routes"));
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({ settings: { greeting: "v1" } })
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify, options) {
+        fastify.get("/greeting", async () => options.config.settings.greeting);
+      }`
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+    });
+    app = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(tenantDir, { recursive: true, force: true });
+  });
+
+  test("serves a tenant loaded after listen()", async () => {
+    const tenant = await server.initTenant(tenantDir);
+    const response = await app.inject(`/${tenant.id}/greeting`);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body, "v1");
+  });
+
+  test("swaps the tenant instance on reload", async () => {
+    const tenantId = path.basename(tenantDir);
+    const previous = server.tenantDispatcher.getInstance(tenantId);
+
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({ settings: { greeting: "v2" } })
+    );
+    await server.reloadTenant(tenantId);
+
+    const response = await app.inject(`/${tenantId}/greeting`);
+    assert.equal(response.body, "v2");
+    assert.notEqual(server.tenantDispatcher.getInstance(tenantId), previous);
+  });
+
+  test("stops routing to an unloaded tenant", async () => {
+    const tenantId = path.basename(tenantDir);
+
+    assert.equal(await server.unloadTenant(tenantId), true);
+
+    const response = await app.inject(`/${tenantId}/greeting`);
+    assert.equal(response.statusCode, 404);
+    assert.equal(server.tenantDispatcher.has(tenantId), false);
+  });
+});
+
+describe("TenantWatcher", () => {
+  let server;
+  let app;
+  let tenantDir;
+
+  const writeRoutes = (body) =>
+    writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/version", async () => ${JSON.stringify(body)});
+      }`
+    );
+
+  before(async () => {
+    tenantDir = await mkdtemp(path.join(os.tmpdir(), "watch-"));
+    await mkdir(path.join(tenantDir, "routes"));
+    await writeRoutes("v1");
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      tenants: { watch: { enabled: true, debounceMs: 20 } },
+    });
+    app = await server.start();
+    await server.initTenant(tenantDir);
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(tenantDir, { recursive: true, force: true });
+  });
+
+  test("reloads a local tenant with fresh modules when a file changes", async () => {
+    const url = `/${path.basename(tenantDir)}/version`;
+    assert.equal((await app.inject(url)).body, "v1");
+
+    await writeRoutes("v2");
+
+    let body;
+    for (let attempt = 0; attempt < 50 && body !== "v2"; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      body = (await app.inject(url)).body;
+    }
+
+    assert.equal(body, "v2");
+  });
+});
+
+describe("Admin API", () => {
+  const token = "test-admin-token";
+  const headers = { authorization: `Bearer ${token}` };
+  let server;
+  let app;
+  let tenantDir;
+  let tenantId;
+
+  before(async () => {
+    tenantDir = await mkdtemp(path.join(os.tmpdir(), "admin-"));
+    tenantId = path.basename(tenantDir);
+    await mkdir(path.join(tenantDir, "routes"));
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/ping", async () => "pong");
+      }`
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      admin: { token },
+    });
+    app = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(tenantDir, { recursive: true, force: true });
+  });
+
+  test("rejects requests without the admin credential", async () => {
+    const response = await app.inject("/admin/tenants");
+    assert.equal(response.statusCode, 401);
+    assert.match(
+      response.headers["content-type"],
+      /^application\/problem\+json/
+    );
+    assert.equal(response.json().code, "UNAUTHORIZED");
+  });
+
+  test("answers unknown tenants with a problem document", async () => {
+    const response = await app.inject({
+      url: "/admin/tenants/missing",
+      headers,
+    });
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json().code, "TENANT_NOT_FOUND");
+    assert.equal(response.json().detail, "Tenant 'missing' not found");
+  });
+
+  test("loads, deactivates, activates and unloads a tenant", async () => {
+    const loaded = await app.inject({
+      method: "POST",
+      url: "/admin/tenants",
+      headers,
+      payload: { source: tenantDir },
+    });
+    assert.equal(loaded.statusCode, 201);
+    assert.equal(loaded.json().data.id, tenantId);
+    assert.equal((await app.inject(`/${tenantId}/ping`)).body, "pong");
+
+    await app.inject({
+      method: "POST",
+      url: `/admin/tenants/${tenantId}/deactivate`,
+      headers,
+    });
+    assert.equal((await app.inject(`/${tenantId}/ping`)).statusCode, 503);
+
+    await app.inject({
+      method: "POST",
+      url: `/admin/tenants/${tenantId}/activate`,
+      headers,
+    });
+    assert.equal((await app.inject(`/${tenantId}/ping`)).statusCode, 200);
+
+    const unloaded = await app.inject({
+      method: "DELETE",
+      url: `/admin/tenants/${tenantId}`,
+      headers,
+    });
+    assert.equal(unloaded.statusCode, 200);
+    assert.equal((await app.inject(`/${tenantId}/ping`)).statusCode, 404);
+  });
+
+  test("reports the failed load's own entry during concurrent loads", async () => {
+    const broken = path.join(tenantDir, "broken");
+    await mkdir(broken);
+    await writeFile(path.join(broken, "config.json"), '{ "unknown": true }');
+
+    const [failed] = await Promise.all([
+      app.inject({
+        method: "POST",
+        url: "/admin/tenants",
+        headers,
+        payload: { source: broken },
+      }),
+      app.inject({
+        method: "POST",
+        url: "/admin/tenants",
+        headers,
+        payload: { source: tenantDir, tenantId: "concurrent" },
+      }),
+    ]);
+
+    assert.equal(failed.statusCode, 422);
+    assert.equal(failed.json().code, "TENANT_LOAD_FAILED");
+    assert.equal(failed.json().details.source, broken);
+    assert.equal(failed.json().details.status, "failed");
+  });
+
+  test("keeps one report entry per tenant across reloads", async () => {
+    await app.inject({
+      method: "POST",
+      url: "/admin/tenants",
+      headers,
+      payload: { source: tenantDir, tenantId: "reloaded" },
+    });
+    for (let i = 0; i < 3; i++) {
+      await app.inject({
+        method: "POST",
+        url: "/admin/tenants/reloaded/reload",
+        headers,
+      });
+    }
+
+    const { entries } = server.tenantManager.getLoadReport();
+    assert.equal(
+      entries.filter((entry) => entry.tenantId === "reloaded").length,
+      1
+    );
+  });
+
+  test("reports every tenant load attempt", async () => {
+    const response = await app.inject({ url: "/admin/load-report", headers });
+    const { entries } = response.json().data;
+
+    assert.ok(entries.some((entry) => entry.tenantId === tenantId));
+    assert.ok(entries.every((entry) => "status" in entry));
+  });
+});
+
+describe("Tenant dependencies", () => {
+  let baseDir;
+  let app;
+  let tenantManager;
+
+  const createTenant = async (id, config) => {
+    const tenantDir = path.join(baseDir, "tenants", id);
+    await mkdir(tenantDir, { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify(config)
+    );
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "deps-"));
+
+    // Directory order deliberately differs from dependency order
+    await createTenant("a-portal", { dependsOn: ["b-billing"] });
+    await createTenant("b-billing", { dependsOn: ["c-core"] });
+    await createTenant("c-core", {});
+    await createTenant("d-cycle", { dependsOn: ["e-cycle"] });
+    await createTenant("e-cycle", { dependsOn: ["d-cycle"] });
+    await createTenant("f-orphan", { dependsOn: ["missing"] });
+    await createTenant("g-disabled", { active: false });
+    await createTenant("h-needs-disabled", { dependsOn: ["g-disabled"] });
+
+    app = Fastify({ logger: false });
+    const pathResolver = new PathResolver(baseDir);
+    tenantManager = new TenantManager(
+      app.log,
+      pathResolver,
+      new ResourceLoader(app.log, pathResolver),
+      new PluginManager(app.log, pathResolver),
+      new TenantDispatcher(app.log)
+    );
+
+    await tenantManager.loadAllTenants(app, { tenants: {} });
+  });
+
+  after(async () => {
+    await tenantManager.tenantDispatcher.closeAll();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("loads dependencies before their dependents", () => {
+    const loaded = tenantManager
+      .getLoadReport()
+      .entries.filter((entry) => entry.status === "loaded")
+      .map((entry) => entry.tenantId);
+
+    assert.deepEqual(loaded, ["c-core", "b-billing", "a-portal"]);
+  });
+
+  test("skips tenants in a dependency cycle", () => {
+    const { entries } = tenantManager.getLoadReport();
+    const cycle = entries.filter((entry) => entry.tenantId.endsWith("-cycle"));
+
+    assert.equal(cycle.length, 2);
+    for (const entry of cycle) {
+      assert.equal(entry.status, "skipped");
+      assert.match(entry.reason, /Dependency cycle detected/);
+    }
+  });
+
+  test("skips dependents of missing or unloaded tenants", () => {
+    const byId = Object.fromEntries(
+      tenantManager
+        .getLoadReport()
+        .entries.map((entry) => [entry.tenantId, entry])
+    );
+
+    assert.match(byId["f-orphan"].reason, /Missing dependency 'missing'/);
+    assert.match(
+      byId["h-needs-disabled"].reason,
+      /Dependency 'g-disabled' failed to load/
+    );
+    assert.equal(tenantManager.getTenant("h-needs-disabled"), null);
+  });
+});
+
+describe("Parallel tenant loading", () => {
+  let baseDir;
+  let app;
+  let tenantManager;
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "parallel-"));
+    globalThis.__tenantLoads = { active: 0, peak: 0 };
+
+    for (const id of ["t1", "t2", "t3", "t4", "t5"]) {
+      const routesDir = path.join(baseDir, "tenants", id, "routes");
+      await mkdir(routesDir, { recursive: true });
+      await writeFile(
+        path.join(routesDir, "index.mjs"),
+        `export default async function () {
+          const loads = globalThis.__tenantLoads;
+          loads.peak = Math.max(loads.peak, ++loads.active);
+          await new Promise((resolve) => setTimeout(resolve, 30));
+          loads.active--;
+        }`
+      );
+    }
+
+    app = Fastify({ logger: false });
+    const pathResolver = new PathResolver(baseDir);
+    tenantManager = new TenantManager(
+      app.log,
+      pathResolver,
+      new ResourceLoader(app.log, pathResolver),
+      new PluginManager(app.log, pathResolver),
+      new TenantDispatcher(app.log)
+    );
+
+    await tenantManager.loadAllTenants(app, {
+      tenants: { loadConcurrency: 2 },
+    });
+  });
+
+  after(async () => {
+    delete globalThis.__tenantLoads;
+    await tenantManager.tenantDispatcher.closeAll();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("never loads more tenants at once than loadConcurrency", () => {
+    assert.equal(globalThis.__tenantLoads.peak, 2);
+    assert.equal(tenantManager.getAllTenants().length, 5);
+  });
+
+  test("reports results in discovery order", () => {
+    const ids = tenantManager
+      .getLoadReport()
+      .entries.map((entry) => entry.tenantId);
+
+    assert.deepEqual(ids, ["t1", "t2", "t3", "t4", "t5"]);
+  });
+
+  test("maps the deprecated maxConcurrent onto maxTenants", () => {
+    const configManager = new ConfigurationManager({
+      tenants: { maxConcurrent: 7 },
+    });
+
+    assert.equal(configManager.get("tenants").maxTenants, 7);
+    assert.equal(configManager.get("tenants").maxConcurrent, undefined);
+    assert.equal(configManager.deprecations.length, 1);
+  });
+});
+
+describe("Tenant config validation", () => {
+  let baseDir;
+  let app;
+  let tenantManager;
+
+  const createTenant = async (id, config, settingsSchema) => {
+    const tenantDir = path.join(baseDir, "tenants", id);
+    await mkdir(tenantDir, { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify(config)
+    );
+    if (settingsSchema) {
+      await writeFile(
+        path.join(tenantDir, "config.schema.json"),
+        JSON.stringify(settingsSchema)
+      );
+    }
+  };
+
+  const reportFor = (tenantId) =>
+    tenantManager
+      .getLoadReport()
+      .entries.find((entry) => entry.tenantId === tenantId);
+
+  const settingsSchema = {
+    type: "object",
+    properties: { theme: { enum: ["light", "dark"] } },
+    required: ["theme"],
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "config-schema-"));
+
+    await createTenant(
+      "valid",
+      {
+        limits: { maxUsers: 10 },
+        settings: { theme: "dark" },
+      },
+      settingsSchema
+    );
+    await createTenant("typo", { activ: false });
+    await createTenant("wrong-type", { limits: { maxUsers: "many" } });
+    await createTenant(
+      "bad-settings",
+      { settings: { theme: "blue" } },
+      settingsSchema
+    );
+
+    app = Fastify({ logger: false });
+    const pathResolver = new PathResolver(baseDir);
+    tenantManager = new TenantManager(
+      app.log,
+      pathResolver,
+      new ResourceLoader(app.log, pathResolver),
+      new PluginManager(app.log, pathResolver),
+      new TenantDispatcher(app.log)
+    );
+
+    await tenantManager.loadAllTenants(app, {});
+  });
+
+  after(async () => {
+    await tenantManager.tenantDispatcher.closeAll();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("loads a tenant whose config and settings are valid", () => {
+    assert.equal(reportFor("valid").status, "loaded");
+  });
+
+  test("refuses unknown properties", () => {
+    const entry = reportFor("typo");
+
+    assert.equal(entry.status, "failed");
+    assert.deepEqual(entry.errors, ["/activ: unknown property"]);
+    assert.equal(tenantManager.getTenant("typo"), null);
+  });
+
+  test("reports the path of values with the wrong type", () => {
+    assert.deepEqual(reportFor("wrong-type").errors, [
+      "/limits/maxUsers: must be integer",
+    ]);
+  });
+
+  test("validates settings against the tenant's config.schema.json", () => {
+    assert.deepEqual(reportFor("bad-settings").errors, [
+      "/settings/theme: must be equal to one of the allowed values",
+    ]);
+  });
+});
+
+describe("Tenant config overlays", () => {
+  let tenantDir;
+  let loader;
+
+  const writeConfig = (name, config) =>
+    writeFile(path.join(tenantDir, name), JSON.stringify(config));
+
+  before(async () => {
+    tenantDir = await mkdtemp(path.join(os.tmpdir(), "config-env-"));
+    await writeFile(path.join(tenantDir, "stripe.key"), "sk_file\n");
+    await writeConfig("config.json", {
+      settings: { apiUrl: "http://localhost", retries: 1 },
+      integrations: {
+        stripe: { key: "${file:./stripe.key}", region: "eu" },
+        mail: { from: "${env:TEST_MAIL_FROM:-noreply@example.com}" },
+      },
+    });
+    await writeConfig("config.staging.json", {
+      settings: { apiUrl: "https://staging.example.com" },
+      integrations: { search: { key: "${env:TEST_SEARCH_KEY}" } },
+    });
+    await writeConfig("config.production.json", {
+      integrations: { search: { key: "${env:TEST_MISSING_KEY}" } },
+    });
+
+    process.env.TEST_SEARCH_KEY = "search-secret";
+    const app = Fastify({ logger: false });
+    loader = (environment) =>
+      new ResourceLoader(app.log, new PathResolver(tenantDir), {
+        environment,
+      });
+  });
+
+  after(async () => {
+    delete process.env.TEST_SEARCH_KEY;
+    await rm(tenantDir, { recursive: true, force: true });
+  });
+
+  test("merges the overlay for the current environment", async () => {
+    const config = await loader("staging").loadConfig(tenantDir);
+
+    assert.equal(config.settings.apiUrl, "https://staging.example.com");
+    assert.equal(config.settings.retries, 1);
+    assert.equal(config.integrations.search.key, "search-secret");
+  });
+
+  test("resolves env and file placeholders and masks them", async () => {
+    const config = await loader("development").loadConfig(tenantDir);
+    const tenant = new TenantContext("billing", config, {
+      getType: () => "local",
+    });
+
+    assert.equal(config.integrations.stripe.key, "sk_file");
+    assert.equal(config.integrations.mail.from, "noreply@example.com");
+    assert.deepEqual(tenant.toJSON().config.integrations, {
+      stripe: { key: "********", region: "eu" },
+      mail: { from: "********" },
+    });
+  });
+
+  test("fails on unresolved required placeholders", async () => {
+    await assert.rejects(loader("production").loadConfig(tenantDir), {
+      name: "TenantConfigError",
+      errors: [
+        "/integrations/search/key: unresolved placeholder ${env:TEST_MISSING_KEY}",
+      ],
+    });
+  });
+});
+
+describe("Tenant identification chain", () => {
+  const token = (claims) =>
+    `Bearer e30.${Buffer.from(JSON.stringify(claims)).toString("base64url")}.sig`;
+
+  const chain = TenantStrategyChain.fromConfig({
+    strategies: ["domain", "subdomain", "path", "header", "query", "jwt"],
+    domains: { "portal.acme.com": "acme" },
+    subdomain: { baseDomain: "saas.test" },
+    path: { exclude: ["api"] },
+    header: { header: "x-tenant" },
+    query: { parameter: "t" },
+    jwt: { claim: "org.tenant" },
+  });
+
+  const identify = (request, known = ["acme", "beta"]) =>
+    chain.identify(
+      { hostname: "localhost", url: "/", headers: {}, query: {}, ...request },
+      (tenantId) => known.includes(tenantId)
+    );
+
+  test("reports the strategy that matched", () => {
+    assert.deepEqual(identify({ hostname: "portal.acme.com" }), {
+      tenantId: "acme",
+      source: "domain",
+    });
+    assert.equal(identify({ hostname: "beta.saas.test" }).source, "subdomain");
+    assert.equal(identify({ url: "/beta/users?x=1" }).source, "path");
+    assert.equal(
+      identify({ headers: { "x-tenant": "beta" } }).source,
+      "header"
+    );
+    assert.equal(identify({ query: { t: "beta" } }).source, "query");
+    assert.deepEqual(
+      identify({
+        headers: { authorization: token({ org: { tenant: "beta" } }) },
+      }),
+      { tenantId: "beta", source: "jwt" }
+    );
+  });
+
+  test("prefers a later strategy naming a known tenant", () => {
+    assert.deepEqual(
+      identify({ url: "/unknown/users", headers: { "x-tenant": "beta" } }),
+      { tenantId: "beta", source: "header" }
+    );
+    assert.deepEqual(identify({ url: "/unknown/users" }), {
+      tenantId: "unknown",
+      source: "path",
+    });
+    assert.equal(identify({ url: "/api/users" }), null);
+  });
+
+  test("reports malformed identifiers", () => {
+    const result = identify({ headers: { "x-tenant": "../etc" } });
+
+    assert.equal(result.tenantId, null);
+    assert.equal(result.source, "header");
+  });
+
+  test("rejects unknown strategy names", () => {
+    assert.throws(
+      () => TenantStrategyChain.fromConfig({ strategies: ["cookie"] }),
+      /Unknown tenant identification strategy 'cookie'/
+    );
+  });
+
+  describe("on the server", () => {
+    let server;
+    let app;
+    let tenantDir;
+    let tenantId;
+
+    before(async () => {
+      tenantDir = await mkdtemp(path.join(os.tmpdir(), "identify-"));
+      tenantId = path.basename(tenantDir);
+      await mkdir(path.join(tenantDir, "routes"));
+      await writeFile(
+        path.join(tenantDir, "routes", "index.mjs"),
+        `export default async function (fastify) {
+          fastify.get("/whoami", async (request) => ({
+            tenantId: request.tenantId,
+            source: request.tenantSource,
+          }));
+        }`
+      );
+
+      server = new MultiTenantServer({
+        server: { port: 0 },
+        logger: { level: "silent" },
+        identification: {
+          strategies: ["domain", "path", "header"],
+          domains: { "portal.example.com": tenantId },
+        },
+      });
+      app = await server.start();
+      await server.initTenant(tenantDir);
+    });
+
+    after(async () => {
+      await server.stop();
+      await rm(tenantDir, { recursive: true, force: true });
+    });
+
+    test("routes custom domains and headers without the path prefix", async () => {
+      const byDomain = await app.inject({
+        url: "/whoami",
+        headers: { host: "portal.example.com" },
+      });
+      const byHeader = await app.inject({
+        url: "/whoami",
+        headers: { "x-tenant-id": tenantId },
+      });
+      const byPath = await app.inject(`/${tenantId}/whoami`);
+
+      assert.deepEqual(byDomain.json(), { tenantId, source: "domain" });
+      assert.deepEqual(byHeader.json(), { tenantId, source: "header" });
+      assert.deepEqual(byPath.json(), { tenantId, source: "path" });
+    });
+  });
+});
+
+describe("Strict tenant resolution", () => {
+  let server;
+  let app;
+  let tenantDir;
+  let tenantId;
+
+  before(async () => {
+    tenantDir = await mkdtemp(path.join(os.tmpdir(), "strict-"));
+    tenantId = path.basename(tenantDir);
+    await mkdir(path.join(tenantDir, "routes"));
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/ping", async () => "pong");
+      }`
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      identification: { strict: true },
+      admin: { token: "secret" },
+    });
+    app = await server.start();
+    await server.initTenant(tenantDir);
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(tenantDir, { recursive: true, force: true });
+  });
+
+  test("serves known tenants and platform paths", async () => {
+    const tenant = await app.inject(`/${tenantId}/ping`);
+    const health = await app.inject("/health");
+    const tenants = await app.inject("/tenants");
+    const admin = await app.inject({
+      url: "/admin/tenants",
+      headers: { authorization: "Bearer secret" },
+    });
+
+    assert.equal(tenant.body, "pong");
+    assert.equal(health.statusCode, 200);
+    assert.equal(tenants.statusCode, 200);
+    assert.equal(admin.statusCode, 200);
+  });
+
+  test("rejects unknown tenants without listing the others", async () => {
+    const response = await app.inject("/unknown/ping");
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json().availableTenants, undefined);
+    assert.equal(response.json().detail, "Tenant 'unknown' not found");
+  });
+
+  test("rejects missing and malformed identifiers", async () => {
+    const missing = await app.inject("/");
+    const malformed = await app.inject("/bad.tenant/ping");
+
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.json().code, "TENANT_REQUIRED");
+    assert.equal(malformed.statusCode, 400);
+    assert.equal(malformed.json().code, "TENANT_INVALID");
+  });
+
+  test("answers inactive tenants like unknown ones", async () => {
+    server.tenantManager.setTenantActive(tenantId, false);
+    const response = await app.inject(`/${tenantId}/ping`);
+    server.tenantManager.setTenantActive(tenantId, true);
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json().detail, `Tenant '${tenantId}' not found`);
+  });
+});
+
+describe("Per-tenant rate limits", () => {
+  let server;
+  let app;
+  let baseDir;
+
+  const createTenant = async (id, limits) => {
+    const tenantDir = path.join(baseDir, id);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({ limits })
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/ping", async () => "pong");
+        fastify.get("/search", async () => "results");
+        fastify.get("/export", { config: { rateLimit: { max: 1 } } }, async () => "csv");
+      }`
+    );
+    return server.initTenant(tenantDir);
+  };
+
+  // Sequential: the in-memory store shares its counter object between
+  // requests resolved in the same tick
+  const hit = async (url, times, options = {}) => {
+    const statusCodes = [];
+    for (let i = 0; i < times; i++) {
+      statusCodes.push((await app.inject({ url, ...options })).statusCode);
+    }
+    return statusCodes;
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "rate-limit-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+    });
+    app = await server.start();
+
+    await createTenant("limited", {
+      requestsPerMinute: 2,
+      routes: { "GET /search": 4 },
+    });
+    await createTenant("neighbour", { requestsPerMinute: 2 });
+    await createTenant("per-client", { requestsPerMinute: 1, perClient: true });
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("enforces limits.requestsPerMinute with standard headers", async () => {
+    const first = await app.inject("/limited/ping");
+
+    assert.equal(first.headers["ratelimit-limit"], "2");
+    assert.equal(first.headers["ratelimit-remaining"], "1");
+    assert.deepEqual(await hit("/limited/ping", 2), [200, 429]);
   });
 
-  const app = await server.start();
-  t.assert(app.server.listening);
+  test("keeps each tenant's budget separate", async () => {
+    assert.deepEqual(await hit("/neighbour/ping", 3), [200, 200, 429]);
+  });
+
+  test("applies per-route overrides from config and routes", async () => {
+    assert.deepEqual(
+      await hit("/limited/search", 5),
+      [200, 200, 200, 200, 429]
+    );
+    assert.deepEqual(await hit("/limited/export", 2), [200, 429]);
+  });
+
+  test("keys by client within a tenant when perClient is set", async () => {
+    const first = await hit("/per-client/ping", 2, {
+      remoteAddress: "10.0.0.1",
+    });
+    const second = await hit("/per-client/ping", 1, {
+      remoteAddress: "10.0.0.2",
+    });
+
+    assert.deepEqual(first, [200, 429]);
+    assert.deepEqual(second, [200]);
+  });
+});
+
+describe("Usage metering", () => {
+  let server;
+  let app;
+  let baseDir;
+  let usageDir;
+  let tenantId;
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "metering-"));
+    usageDir = path.join(baseDir, "usage");
+    tenantId = "metered";
+
+    const tenantDir = path.join(baseDir, tenantId);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({ limits: { maxRequestsPerPeriod: 3 } })
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.post("/echo", async (request) => request.body);
+      }`
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      admin: { token: "secret" },
+      metering: { store: "file", directory: usageDir, flushIntervalMs: 0 },
+    });
+    app = await server.start();
+    await server.initTenant(tenantDir);
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("counts requests and bytes until the period quota is reached", async () => {
+    const send = () =>
+      app.inject({ method: "POST", url: "/metered/echo", payload: { a: 1 } });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await send()).statusCode, 200);
+    }
+    const rejected = await send();
+
+    assert.equal(rejected.statusCode, 403);
+    assert.equal(rejected.json().code, "QUOTA_EXCEEDED");
+    assert.equal(rejected.json().metric, "maxRequestsPerPeriod");
+
+    const usage = await server.getTenantUsage(tenantId);
+    assert.equal(usage.requests, 3);
+    assert.equal(usage.bytesIn, 21);
+    // The rejected response is sent, so its bytes count too
+    assert.equal(
+      usage.bytesOut,
+      21 + Number(rejected.headers["content-length"])
+    );
+    assert.deepEqual(usage.limits, { maxRequestsPerPeriod: 3 });
+  });
+
+  test("reports usage per period through the admin API", async () => {
+    const period = server.usageMeter.periodKey();
+    const response = await app.inject({
+      url: `/admin/tenants/${tenantId}/usage?period=${period}`,
+      headers: { authorization: "Bearer secret" },
+    });
+    const empty = await app.inject({
+      url: `/admin/tenants/${tenantId}/usage?period=1999-01`,
+      headers: { authorization: "Bearer secret" },
+    });
+
+    assert.equal(response.json().data.requests, 3);
+    assert.deepEqual(response.json().data.periods, [period]);
+    assert.equal(empty.json().data.requests, 0);
+  });
+
+  test("persists counters when the meter is flushed", async () => {
+    await server.usageMeter.flush();
+    const document = await new FileUsageStore(usageDir).load(tenantId);
+
+    assert.equal(document.periods[server.usageMeter.periodKey()].requests, 3);
+  });
+
+  test("enforces limits.maxUsers in UserService.create", async () => {
+    const meter = new UsageMeter(app.log);
+    const usage = meter.forTenant({
+      id: "users-quota",
+      config: { limits: { maxUsers: 1 } },
+    });
+    const userService = createUserService(new Map(), {}, { usage });
+
+    const user = await userService.create({ name: "Ada", email: "a@x.io" });
+    await assert.rejects(userService.create({ name: "Bob", email: "b@x.io" }), {
+      name: "QuotaExceededError",
+      metric: "maxUsers",
+      limit: 1,
+      used: 1,
+    });
+
+    await userService.delete(user.id);
+    await userService.create({ name: "Bob", email: "b@x.io" });
+    assert.equal((await usage.getUsage()).records.users, 1);
+  });
+
+  test("counts stored users, not a stale running total", async () => {
+    const meter = new UsageMeter(app.log);
+    const usage = meter.forTenant({
+      id: "restarted",
+      config: { limits: { maxUsers: 2 } },
+    });
+    // Left over from users kept in memory before a restart
+    await meter.setRecords("restarted", "users", 2);
+    const userService = createUserService(new Map(), {}, { usage });
+
+    await userService.create({ name: "Ada", email: "a@x.io" });
+    assert.equal((await usage.getUsage()).records.users, 1);
+  });
 
-  await server.stop();
+  test("does not let concurrent creates pass limits.maxUsers", async () => {
+    const meter = new UsageMeter(app.log);
+    const usage = meter.forTenant({
+      id: "racing",
+      config: { limits: { maxUsers: 2 } },
+    });
+    const userService = createUserService(new Map(), {}, { usage });
+
+    const results = await Promise.allSettled(
+      ["a", "b", "c", "d"].map((name) =>
+        userService.create({ name, email: `${name}@x.io` })
+      )
+    );
+
+    assert.deepEqual(
+      results.map(({ status }) => status),
+      ["fulfilled", "fulfilled", "rejected", "rejected"]
+    );
+    assert.equal((await userService.list({})).pagination.total, 2);
+  });
+
+  test("meters JSON user storage against limits.maxStorageBytes", async () => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), "storage-quota-"));
+    const meter = new UsageMeter(app.log);
+    const tenant = { id: "storing", config: { limits: {} } };
+    const usage = meter.forTenant(tenant);
+    const userService = createUserService(
+      null,
+      { database: { type: "json", directory } },
+      { usage }
+    );
+
+    try {
+      const ada = await userService.create({ name: "Ada", email: "a@x.io" });
+      const { size } = await stat(path.join(directory, "users.json"));
+      assert.equal((await usage.getUsage()).storageBytes, size);
+      assert.deepEqual((await usage.getUsage()).storage, { users: size });
+
+      tenant.config.limits.maxStorageBytes = size + 10;
+      await assert.rejects(
+        userService.create({ name: "Bob", email: "b@x.io" }),
+        { name: "QuotaExceededError", metric: "maxStorageBytes" }
+      );
+      assert.equal((await userService.list({})).pagination.total, 1);
+
+      // Shrinking passes even over the limit
+      tenant.config.limits.maxStorageBytes = 1;
+      assert.equal(await userService.delete(ada.id), true);
+      assert.equal((await usage.getUsage()).storageBytes, 2); // "{}"
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
 });
 
-test("should load tenant correctly", async (t) => {
-  const server = new MultiTenantServer();
-  await server.start();
+describe("User storage adapters", () => {
+  let baseDir;
+  let sequelize;
+  let models;
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "user-storage-"));
+    sequelize = createSequelize({ dialect: "sqlite" });
+    models = { User: defineUser(sequelize, DataTypes) };
+    await sequelize.sync();
+  });
+
+  after(async () => {
+    await sequelize.close();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  const storages = {
+    memory: () => ({ database: { type: "memory" } }),
+    json: () => ({ database: { type: "json", directory: baseDir } }),
+    sequelize: () => ({ database: { type: "sequelize" } }),
+  };
+
+  for (const [type, tenantConfig] of Object.entries(storages)) {
+    describe(`${type} storage`, () => {
+      let users;
+
+      before(async () => {
+        await models.User.destroy({ where: {} });
+        await rm(path.join(baseDir, "users.json"), { force: true });
+        users = createUserService(sequelize, tenantConfig(), {
+          models,
+          tenantId: "storage",
+        });
+      });
+
+      test("creates and finds users", async () => {
+        const ada = await users.create({ name: "Ada", email: "ada@x.io" });
+        await users.create({ name: "Bob", email: "bob@x.io", role: "admin" });
 
-  const tenant = await server.initTenant("test-tenant");
-  t.assert(tenant.id === "test-tenant");
-  t.assert(tenant.active === true);
+        assert.equal(ada.role, "user");
+        assert.deepEqual(await users.getById(ada.id), ada);
+        assert.equal(await users.getById("user_missing"), null);
+        assert.deepEqual(
+          (await users.getAll()).map((user) => user.name).sort(),
+          ["Ada", "Bob"]
+        );
+      });
 
-  await server.stop();
+      test("rejects duplicate emails", async () => {
+        await assert.rejects(users.create({ name: "Eve", email: "ada@x.io" }), {
+          code: "USER_EMAIL_TAKEN",
+        });
+      });
+
+      test("pages, filters, sorts and selects fields", async () => {
+        for (const name of ["Cy", "Di", "Ed", "Flo"]) {
+          await users.create({ name, email: `${name}@x.io`.toLowerCase() });
+        }
+
+        const first = await users.list({ limit: 2, sort: "-name" });
+        const second = await users.list({
+          limit: 2,
+          sort: "-name",
+          cursor: first.pagination.nextCursor,
+        });
+        const names = (page) => page.data.map((user) => user.name);
+
+        assert.deepEqual(names(first), ["Flo", "Ed"]);
+        assert.deepEqual(names(second), ["Di", "Cy"]);
+        assert.deepEqual(first.pagination, {
+          limit: 2,
+          offset: 0,
+          total: 6,
+          hasMore: true,
+          nextCursor: first.pagination.nextCursor,
+        });
+        assert.deepEqual(
+          names(await users.list({ limit: 2, offset: 4, sort: "name" })),
+          ["Ed", "Flo"]
+        );
+        assert.deepEqual(
+          (await users.list({ role: "admin", fields: "name,role" })).data,
+          [{ name: "Bob", role: "admin" }]
+        );
+        assert.equal(
+          (await users.list({ createdAfter: "2000-01-01T00:00:00Z" }))
+            .pagination.total,
+          6
+        );
+        assert.equal(
+          (await users.list({ createdBefore: "2000-01-01T00:00:00Z" }))
+            .pagination.total,
+          0
+        );
+        await assert.rejects(
+          users.list({ sort: "name", cursor: first.pagination.nextCursor }),
+          { code: "INVALID_CURSOR" }
+        );
+      });
+
+      test("replaces users and keeps emails unique", async () => {
+        const [ada] = (await users.list({ email: "ada@x.io" })).data;
+
+        const replaced = await users.replace(ada.id, {
+          name: "Ada",
+          email: "ada@x.io",
+        });
+        assert.equal(replaced.role, "user");
+        assert.equal(replaced.createdAt, ada.createdAt);
+        await assert.rejects(users.update(ada.id, { email: "bob@x.io" }), {
+          code: "USER_EMAIL_TAKEN",
+        });
+      });
+
+      test("updates and deletes users", async () => {
+        const [ada] = (await users.getAll()).filter((u) => u.name === "Ada");
+
+        const updated = await users.update(ada.id, { name: "Ada L." });
+        assert.equal(updated.name, "Ada L.");
+        assert.equal((await users.getById(ada.id)).name, "Ada L.");
+
+        assert.equal(await users.delete(ada.id), true);
+        assert.equal(await users.delete(ada.id), false);
+        await assert.rejects(users.update(ada.id, { name: "Ada" }), {
+          code: "USER_NOT_FOUND",
+        });
+      });
+    });
+  }
+
+  test("rejects unknown storage types", () => {
+    assert.throws(
+      () => createUserService(null, { database: { type: "cassandra" } }),
+      /Unknown storage type 'cassandra'/
+    );
+  });
+
+  test("keeps emails unique per tenant in a shared table", async () => {
+    const shared = createSequelize({ dialect: "sqlite" });
+    const scope = new TenantRowScope({ scopeByDefault: true });
+    scope.install(shared);
+    const User = defineUser(shared, DataTypes);
+    await shared.sync();
+
+    const create = (tenantId, user) =>
+      scope.run(tenantId, () =>
+        createUserService(
+          shared,
+          { database: { type: "sequelize" } },
+          { models: { User }, tenantId }
+        ).create(user)
+      );
+
+    try {
+      await create("acme", { name: "Ada", email: "ada@x.io" });
+      await create("globex", { name: "Ada", email: "ada@x.io" });
+      await assert.rejects(create("acme", { name: "A", email: "ada@x.io" }), {
+        code: "USER_EMAIL_TAKEN",
+      });
+
+      // A write racing past the service's email check hits the index
+      const repository = new UserRepository(new SequelizeStorageAdapter(User));
+      const now = new Date().toISOString();
+      await assert.rejects(
+        scope.run("acme", () =>
+          repository.create({
+            id: "user_racing",
+            name: "Ada",
+            email: "ada@x.io",
+            createdAt: now,
+            updatedAt: now,
+          })
+        ),
+        { code: "USER_EMAIL_TAKEN", statusCode: 409 }
+      );
+    } finally {
+      await shared.close();
+    }
+  });
+});
+
+describe("Sample tenant", () => {
+  let server;
+  let app;
+  const secret = "sample-tenant-test-secret-at-least-32-chars";
+
+  const as = (role, method, url, payload) =>
+    app.inject({
+      method,
+      url: `/sample-tenant${url}`,
+      payload,
+      headers: role
+        ? {
+            authorization: `Bearer ${jwt.sign({ sub: "u1", role }, secret, {
+              audience: "sample-tenant",
+            })}`,
+          }
+        : {},
+    });
+
+  before(async () => {
+    process.env.SAMPLE_TENANT_JWT_SECRET = secret;
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      metering: { store: "memory" },
+    });
+    app = await server.start();
+    await server.initTenant(
+      fileURLToPath(new URL("./tenants/default-tenant", import.meta.url))
+    );
+  });
+
+  after(async () => {
+    await server.stop();
+    delete process.env.SAMPLE_TENANT_JWT_SECRET;
+  });
+
+  test("asks for a token on the user API", async () => {
+    const list = await as(null, "GET", "/users");
+    const create = await as(null, "POST", "/users", {
+      name: "Ada",
+      email: "ada@x.io",
+    });
+
+    assert.equal(list.statusCode, 401);
+    assert.equal(list.json().code, "UNAUTHORIZED");
+    assert.equal(create.statusCode, 401);
+  });
+
+  test("serves the user API to tokens with the permission", async () => {
+    const created = await as("admin", "POST", "/users", {
+      name: "Ada",
+      email: "ada@x.io",
+    });
+    const list = await as("user", "GET", "/users");
+    const forbidden = await as("user", "POST", "/users", {
+      name: "Bob",
+      email: "bob@x.io",
+    });
+
+    assert.equal(created.statusCode, 201);
+    assert.equal(list.statusCode, 200);
+    assert.deepEqual(
+      list.json().data.map(({ email }) => email),
+      ["ada@x.io"]
+    );
+    assert.equal(forbidden.statusCode, 403);
+  });
+
+  test("pages, sorts and selects fields from the querystring", async () => {
+    for (const name of ["Cleo", "Bea", "Dan"]) {
+      await as("admin", "POST", "/users", {
+        name,
+        email: `${name.toLowerCase()}@x.io`,
+      });
+    }
+
+    const offset = (
+      await as("user", "GET", "/users?sort=name&limit=2&offset=1")
+    ).json();
+    assert.deepEqual(
+      offset.data.map(({ name }) => name),
+      ["Bea", "Cleo"]
+    );
+    assert.deepEqual(offset.pagination, {
+      limit: 2,
+      offset: 1,
+      total: 4,
+      hasMore: true,
+      nextCursor: offset.pagination.nextCursor,
+    });
+
+    const first = (
+      await as("user", "GET", "/users?sort=-name&limit=2&fields=name")
+    ).json();
+    const next = (
+      await as(
+        "user",
+        "GET",
+        `/users?sort=-name&limit=2&fields=name&cursor=${first.pagination.nextCursor}`
+      )
+    ).json();
+
+    assert.deepEqual(first.data, [{ name: "Dan" }, { name: "Cleo" }]);
+    assert.deepEqual(next.data, [{ name: "Bea" }, { name: "Ada" }]);
+    assert.equal(next.pagination.hasMore, false);
+  });
+
+  test("validates queries and bodies with the registered schemas", async () => {
+    const sort = await as("user", "GET", "/users?sort=password");
+    const limit = await as("user", "GET", "/users?limit=500");
+    const body = await as("admin", "POST", "/users", { name: "No email" });
+
+    for (const response of [sort, limit, body]) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.json().code, "VALIDATION_FAILED");
+    }
+    assert.deepEqual(
+      sort.json().errors.map(({ in: location, field }) => [location, field]),
+      [["querystring", "sort"]]
+    );
+  });
+
+  test("replaces, updates and deletes a user", async () => {
+    const { id } = (
+      await as("admin", "POST", "/users", { name: "Eve", email: "eve@x.io" })
+    ).json().data;
+
+    const replaced = await as("admin", "PUT", `/users/${id}`, {
+      name: "Eva",
+      email: "eva@x.io",
+      role: "admin",
+    });
+    const patched = await as("admin", "PATCH", `/users/${id}`, {
+      name: "Evie",
+    });
+    const taken = await as("admin", "PATCH", `/users/${id}`, {
+      email: "ada@x.io",
+    });
+    const fields = await as("user", "GET", `/users/${id}?fields=name,role`);
+
+    assert.equal(replaced.statusCode, 200);
+    assert.equal(replaced.json().data.email, "eva@x.io");
+    assert.equal(patched.json().data.name, "Evie");
+    assert.equal(patched.json().data.role, "admin");
+    assert.equal(taken.statusCode, 409);
+    assert.equal(taken.json().code, "USER_EMAIL_TAKEN");
+    assert.deepEqual(fields.json().data, { name: "Evie", role: "admin" });
+
+    const deleted = await as("admin", "DELETE", `/users/${id}`);
+    assert.equal(deleted.statusCode, 204);
+    assert.equal(deleted.body, "");
+
+    for (const [method, payload] of [
+      ["GET"],
+      ["PATCH", { name: "Gone" }],
+      ["PUT", { name: "Gone", email: "gone@x.io" }],
+      ["DELETE"],
+    ]) {
+      const response = await as("admin", method, `/users/${id}`, payload);
+      assert.equal(response.statusCode, 404, method);
+      assert.equal(response.json().code, "USER_NOT_FOUND");
+    }
+  });
+});
+
+describe("Problem details", () => {
+  let server;
+  let app;
+  let tenantDir;
+  const tenantId = "problems";
+
+  before(async () => {
+    tenantDir = path.join(
+      await mkdtemp(path.join(os.tmpdir(), "rfc7807-")),
+      tenantId
+    );
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({
+        errors: {
+          PAYMENT_REQUIRED: { status: 402, title: "Payment required" },
+        },
+      })
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      // The tenant lives outside the workspace, so import by resolved URL
+      `import { AppError, ConflictError } from "${import.meta.resolve("@internal/shared")}";
+
+      export default async function (fastify) {
+        fastify.post(
+          "/items",
+          {
+            schema: {
+              body: {
+                type: "object",
+                required: ["name"],
+                properties: { size: { type: "integer" } },
+              },
+            },
+          },
+          async () => {
+            throw new ConflictError("Item exists", { itemId: "a" });
+          }
+        );
+        fastify.get("/pay", async () => {
+          throw fastify.createError("PAYMENT_REQUIRED", "Card declined");
+        });
+        fastify.get("/declined", async () => {
+          throw new AppError("Card declined", { code: "PAYMENT_REQUIRED" });
+        });
+        fastify.get("/overdue", async () => {
+          throw new AppError("Invoice overdue", {
+            status: 403,
+            code: "PAYMENT_REQUIRED",
+          });
+        });
+        fastify.get("/boom", async () => {
+          throw new Error("secret internals");
+        });
+        fastify.get("/spoof", async () => {
+          throw new ConflictError("Spoofed", {
+            tenantId: "other",
+            instance: "/elsewhere",
+            itemId: "b",
+          });
+        });
+      }`
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      errors: {
+        typeBaseUrl: "https://errors.example.com/",
+        exposeInternals: false,
+      },
+    });
+    app = await server.start();
+    await server.initTenant(tenantDir);
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(path.dirname(tenantDir), { recursive: true, force: true });
+  });
+
+  test("maps schema validation errors to field details", async () => {
+    const response = await app.inject({
+      method: "POST",
+      url: `/${tenantId}/items`,
+      payload: { size: "big" },
+    });
+    const problem = response.json();
+
+    assert.equal(response.statusCode, 400);
+    assert.match(
+      response.headers["content-type"],
+      /^application\/problem\+json/
+    );
+    assert.equal(problem.code, "VALIDATION_FAILED");
+    assert.equal(problem.type, "https://errors.example.com/validation-failed");
+    assert.equal(problem.tenantId, tenantId);
+    assert.ok(problem.requestId);
+    assert.deepEqual(
+      problem.errors.map(({ in: location, field }) => [location, field]),
+      [["body", "name"]]
+    );
+  });
+
+  test("renders typed errors thrown by tenant code", async () => {
+    const response = await app.inject({
+      method: "POST",
+      url: `/${tenantId}/items`,
+      payload: { name: "a" },
+    });
+
+    assert.equal(response.statusCode, 409);
+    assert.deepEqual(response.json(), {
+      type: "https://errors.example.com/conflict",
+      title: "Conflict",
+      status: 409,
+      detail: "Item exists",
+      instance: `/${tenantId}/items`,
+      code: "CONFLICT",
+      tenantId,
+      requestId: response.json().requestId,
+      itemId: "a",
+    });
+  });
+
+  test("uses error codes registered by the tenant", async () => {
+    const response = await app.inject(`/${tenantId}/pay`);
+
+    assert.equal(response.statusCode, 402);
+    assert.equal(response.json().code, "PAYMENT_REQUIRED");
+    assert.equal(response.json().title, "Payment required");
+    assert.equal(response.json().detail, "Card declined");
+  });
+
+  test("uses the registered status for an AppError without one", async () => {
+    const response = await app.inject(`/${tenantId}/declined`);
+
+    assert.equal(response.statusCode, 402);
+    assert.equal(response.json().title, "Payment required");
+  });
+
+  test("keeps the status an AppError was given", async () => {
+    const response = await app.inject(`/${tenantId}/overdue`);
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.json().code, "PAYMENT_REQUIRED");
+  });
+
+  test("hides internal error details", async () => {
+    const response = await app.inject(`/${tenantId}/boom`);
+
+    assert.equal(response.statusCode, 500);
+    assert.equal(response.json().code, "INTERNAL_ERROR");
+    assert.equal(response.json().detail, "Internal server error");
+  });
+
+  test("keeps standard members over error extensions", async () => {
+    const problem = (await app.inject(`/${tenantId}/spoof`)).json();
+
+    assert.equal(problem.tenantId, tenantId);
+    assert.equal(problem.instance, `/${tenantId}/spoof`);
+    assert.equal(problem.itemId, "b");
+  });
+
+  test("answers unknown routes with a problem document", async () => {
+    const response = await app.inject(`/${tenantId}/missing`);
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json().code, "ROUTE_NOT_FOUND");
+    assert.equal(response.json().tenantId, tenantId);
+  });
+});
+
+describe("Per-tenant CORS", () => {
+  let server;
+  let app;
+  let baseDir;
+  const appOrigin = "https://app.example.com";
+
+  const createTenant = async (id, cors) => {
+    const tenantDir = path.join(baseDir, id);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify(cors ? { cors } : {})
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/ping", async () => "pong");
+      }`
+    );
+    return server.initTenant(tenantDir);
+  };
+
+  const preflight = (url, origin, headers = {}) =>
+    app.inject({
+      method: "OPTIONS",
+      url,
+      headers: {
+        origin,
+        "access-control-request-method": "POST",
+        ...headers,
+      },
+    });
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "cors-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      identification: {
+        strategies: ["domain", "path"],
+        domains: { "portal.acme.test": "open" },
+      },
+    });
+    app = await server.start();
+
+    await createTenant("open", {
+      origins: [appOrigin, "https://*.partner.io"],
+      allowedHeaders: ["Content-Type", "X-Api-Key"],
+      credentials: true,
+      maxAge: 60,
+    });
+    await createTenant("closed");
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("answers preflight requests under the tenant prefix", async () => {
+    const response = await preflight("/open/ping", appOrigin);
+
+    assert.equal(response.statusCode, 204);
+    assert.equal(response.headers["access-control-allow-origin"], appOrigin);
+    assert.equal(response.headers["access-control-allow-credentials"], "true");
+    assert.equal(response.headers["access-control-max-age"], "60");
+    assert.equal(
+      response.headers["access-control-allow-headers"],
+      "Content-Type, X-Api-Key"
+    );
+  });
+
+  test("answers preflight requests on custom domains", async () => {
+    const response = await preflight("/ping", appOrigin, {
+      host: "portal.acme.test",
+    });
+
+    assert.equal(response.statusCode, 204);
+    assert.equal(response.headers["access-control-allow-origin"], appOrigin);
+  });
+
+  test("matches origin patterns and ignores other origins", async () => {
+    const partner = await app.inject({
+      url: "/open/ping",
+      headers: { origin: "https://eu.partner.io" },
+    });
+    const other = await app.inject({
+      url: "/open/ping",
+      headers: { origin: "https://partner.io.evil.test" },
+    });
+
+    assert.equal(
+      partner.headers["access-control-allow-origin"],
+      "https://eu.partner.io"
+    );
+    assert.equal(other.statusCode, 200);
+    assert.equal(other.headers["access-control-allow-origin"], undefined);
+  });
+
+  test("denies cross-origin requests by default", async () => {
+    const simple = await app.inject({
+      url: "/closed/ping",
+      headers: { origin: appOrigin },
+    });
+    const denied = await preflight("/closed/ping", appOrigin);
+    const platform = await app.inject({
+      url: "/health",
+      headers: { origin: appOrigin },
+    });
+
+    assert.equal(simple.headers["access-control-allow-origin"], undefined);
+    assert.equal(denied.statusCode, 404);
+    assert.equal(denied.headers["access-control-allow-origin"], undefined);
+    assert.equal(platform.headers["access-control-allow-origin"], undefined);
+  });
+
+  test("refuses credentials for every origin", () => {
+    assert.throws(
+      () => resolveCorsPolicy({}, { origins: ["*"], credentials: true }),
+      /credentials/
+    );
+  });
+});
+
+describe("Per-tenant JWT auth", () => {
+  let server;
+  let app;
+  let baseDir;
+  const secret = "alpha-secret-that-is-at-least-32-chars";
+  const { privateKey, publicKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const jwk = { ...publicKey.export({ format: "jwk" }), kid: "beta-1" };
+
+  const signAlpha = (claims = {}, options = {}) =>
+    jwt.sign({ sub: "u1", ...claims }, secret, {
+      audience: "alpha",
+      expiresIn: "5m",
+      ...options,
+    });
+  const signBeta = (claims = {}) =>
+    jwt.sign({ sub: "u2", ...claims }, privateKey, {
+      algorithm: "RS256",
+      keyid: "beta-1",
+      issuer: "https://id.beta.test",
+      audience: "beta",
+      expiresIn: "5m",
+    });
+  const me = (tenantId, token) =>
+    app.inject({
+      url: `/${tenantId}/me`,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+    });
+
+  const createTenant = async (id, auth, files = {}) => {
+    const tenantDir = path.join(baseDir, id);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({ auth })
+    );
+    for (const [name, content] of Object.entries(files)) {
+      await writeFile(path.join(tenantDir, name), content);
+    }
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/me", async (request) => request.user);
+        fastify.get("/public", { config: { auth: false } }, async () => "ok");
+      }`
+    );
+    return server.initTenant(tenantDir);
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "jwt-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+    });
+    app = await server.start();
+
+    await createTenant("alpha", { jwt: { secret } });
+    await createTenant(
+      "beta",
+      {
+        required: true,
+        jwt: { issuer: "https://id.beta.test", jwks: "jwks.json" },
+      },
+      { "jwks.json": JSON.stringify({ keys: [jwk] }) }
+    );
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("exposes verified claims on request.user", async () => {
+    const alpha = await me("alpha", signAlpha({ role: "admin" }));
+    const beta = await me("beta", signBeta());
+
+    assert.equal(alpha.statusCode, 200);
+    assert.equal(alpha.json().role, "admin");
+    assert.equal(beta.statusCode, 200);
+    assert.equal(beta.json().sub, "u2");
+  });
+
+  test("rejects a token issued for another tenant", async () => {
+    const forgedAudience = await me(
+      "alpha",
+      signAlpha({}, { audience: "beta" })
+    );
+    const betaOnAlpha = await me("alpha", signBeta());
+    const alphaOnBeta = await me("beta", signAlpha());
+
+    for (const response of [forgedAudience, betaOnAlpha, alphaOnBeta]) {
+      assert.equal(response.statusCode, 401);
+      assert.equal(response.json().code, "INVALID_TOKEN");
+      assert.equal(
+        response.headers["www-authenticate"],
+        'Bearer error="invalid_token"'
+      );
+    }
+  });
+
+  test("requires a token where the tenant or route asks for one", async () => {
+    const anonymousAlpha = await me("alpha");
+    const anonymousBeta = await me("beta");
+    const publicBeta = await app.inject("/beta/public");
+
+    assert.equal(anonymousAlpha.statusCode, 200);
+    assert.equal(anonymousAlpha.body, "null");
+    assert.equal(anonymousBeta.statusCode, 401);
+    assert.equal(anonymousBeta.json().code, "UNAUTHORIZED");
+    assert.equal(publicBeta.body, "ok");
+  });
+
+  test("reports expired tokens", async () => {
+    const expired = signAlpha({}, { expiresIn: -60 });
+    const response = await me("alpha", expired);
+
+    assert.equal(response.statusCode, 401);
+    assert.equal(response.json().code, "TOKEN_EXPIRED");
+  });
+
+  test("fetches JWKS documents from a URL", async () => {
+    const jwksServer = http.createServer((request, response) => {
+      response.setHeader("content-type", "application/json");
+      response.end(JSON.stringify({ keys: [jwk] }));
+    });
+    await new Promise((resolve) => jwksServer.listen(0, resolve));
+
+    try {
+      const { port } = jwksServer.address();
+      const store = new JwksKeyStore(`http://127.0.0.1:${port}/jwks.json`);
+      const key = await store.getKey("beta-1");
+
+      assert.equal(key.asymmetricKeyType, "rsa");
+      await assert.rejects(store.getKey("unknown"), /No JWKS key/);
+    } finally {
+      jwksServer.close();
+    }
+  });
+});
+
+describe("Role-based access control", () => {
+  let server;
+  let app;
+  let tenantDir;
+  const tenantId = "rbac";
+  const secret = "rbac-secret-that-is-at-least-32-chars";
+
+  const as = (role, url, method = "GET") =>
+    app.inject({
+      method,
+      url: `/${tenantId}${url}`,
+      headers: role
+        ? {
+            authorization: `Bearer ${jwt.sign({ sub: "u1", role }, secret, {
+              audience: tenantId,
+            })}`,
+          }
+        : {},
+    });
+
+  before(async () => {
+    tenantDir = path.join(
+      await mkdtemp(path.join(os.tmpdir(), "rbac-")),
+      tenantId
+    );
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({
+        auth: { jwt: { secret } },
+        rbac: {
+          anonymousRole: "guest",
+          roles: {
+            guest: ["reports:read"],
+            user: ["users:read"],
+            admin: ["users:*", "reports:*"],
+          },
+        },
+      })
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/users", { config: { permissions: ["users:read"] } }, async () => "list");
+        fastify.post("/users", { config: { permissions: ["users:write"] } }, async () => "created");
+        fastify.get("/reports", { config: { permissions: ["reports:read"] } }, async () => "report");
+        fastify.get("/settings", { config: { roles: ["admin"] } }, async () => "settings");
+      }`
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      admin: { token: "secret" },
+    });
+    app = await server.start();
+    await server.initTenant(tenantDir);
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(path.dirname(tenantDir), { recursive: true, force: true });
+  });
+
+  test("grants permissions through the tenant's roles", async () => {
+    assert.equal((await as("user", "/users")).body, "list");
+    assert.equal((await as("admin", "/users", "POST")).body, "created");
+    assert.equal((await as("admin", "/settings")).body, "settings");
+    assert.equal((await as(null, "/reports")).body, "report");
+  });
+
+  test("answers missing permissions with a consistent 403", async () => {
+    for (const response of [
+      await as("user", "/users", "POST"),
+      await as("user", "/settings"),
+    ]) {
+      assert.equal(response.statusCode, 403);
+      assert.equal(response.json().code, "PERMISSION_DENIED");
+      assert.equal(response.json().tenantId, tenantId);
+    }
+    assert.deepEqual((await as("user", "/users", "POST")).json().required, {
+      permissions: ["users:write"],
+      roles: [],
+    });
+  });
+
+  test("asks anonymous requests to authenticate", async () => {
+    const response = await as(null, "/users");
+
+    assert.equal(response.statusCode, 401);
+    assert.equal(response.headers["www-authenticate"], "Bearer");
+  });
+
+  test("masks the JWT secret in the public tenant listing", async () => {
+    const response = await app.inject("/tenants");
+    const rbac = response.json().data.find(({ id }) => id === tenantId);
+
+    assert.equal(rbac.config.auth.jwt.secret, "********");
+    assert.doesNotMatch(response.body, new RegExp(secret));
+  });
+
+  test("lists route permissions for auditing", async () => {
+    const response = await app.inject({
+      url: `/admin/tenants/${tenantId}/permissions`,
+      headers: { authorization: "Bearer secret" },
+    });
+    const { routes, roles } = response.json().data;
+
+    assert.deepEqual(
+      routes.filter(({ method }) => method !== "HEAD"),
+      [
+        {
+          method: "GET",
+          url: "/users",
+          permissions: ["users:read"],
+          roles: [],
+        },
+        {
+          method: "POST",
+          url: "/users",
+          permissions: ["users:write"],
+          roles: [],
+        },
+        {
+          method: "GET",
+          url: "/reports",
+          permissions: ["reports:read"],
+          roles: [],
+        },
+        { method: "GET", url: "/settings", permissions: [], roles: ["admin"] },
+      ]
+    );
+    assert.deepEqual(roles.user, ["users:read"]);
+  });
+});
+
+describe("Tenant sessions", () => {
+  let server;
+  let app;
+  let baseDir;
+  const tenantId = "portal";
+
+  const sessionCookie = (response) =>
+    response.cookies.find(({ name }) => name === `sid.${tenantId}`);
+  const request = (method, url, cookie, options = {}) =>
+    app.inject({
+      method,
+      url: `/${tenantId}${url}`,
+      cookies: cookie ? { [cookie.name]: cookie.value } : {},
+      ...options,
+    });
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "sessions-"));
+    const tenantDir = path.join(baseDir, tenantId);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({
+        session: { secret: "portal-cookie-secret-at-least-32-chars" },
+      })
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/csrf", async (request) => request.session.csrfToken());
+        fastify.post("/login", async (request) => {
+          await request.session.regenerate();
+          request.session.set("user", { sub: "u1", role: "admin" });
+          return request.session.csrfToken();
+        });
+        fastify.get("/me", async (request) => request.user);
+        fastify.post("/notes", async () => "saved");
+        fastify.post("/logout", async (request) => {
+          await request.session.destroy();
+          return "bye";
+        });
+        fastify.get("/private", async (request, reply) =>
+          reply
+            .addNoCacheHeaders()
+            .attachedXHeaders([["X-Tenant", "${tenantId}"]])
+            .send("private")
+        );
+      }`
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+    });
+    app = await server.start();
+    await server.initTenant(tenantDir);
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("masks the session secret in the public tenant listing", async () => {
+    const response = await app.inject("/tenants");
+    const portal = response.json().data.find(({ id }) => id === tenantId);
+
+    assert.equal(portal.config.session.secret, "********");
+    assert.doesNotMatch(response.body, /portal-cookie-secret/);
+  });
+
+  test("sets no cookie for anonymous requests", async () => {
+    const response = await request("GET", "/me");
+
+    assert.equal(response.body, "null");
+    assert.equal(sessionCookie(response), undefined);
+  });
+
+  test("logs in with a signed cookie scoped to the tenant", async () => {
+    const login = await request("POST", "/login");
+    const cookie = sessionCookie(login);
+    const me = await request("GET", "/me", cookie);
+    const tampered = await request("GET", "/me", {
+      ...cookie,
+      value: cookie.value.replace(/^./, (c) => (c === "a" ? "b" : "a")),
+    });
+
+    assert.equal(cookie.path, `/${tenantId}`);
+    assert.equal(cookie.httpOnly, true);
+    assert.equal(cookie.sameSite, "Lax");
+    assert.deepEqual(me.json(), { sub: "u1", role: "admin" });
+    // Rolling expiry: every response renews the cookie
+    assert.equal(sessionCookie(me).value, cookie.value);
+    assert.equal(tampered.body, "null");
+  });
+
+  test("regenerates the session id on login", async () => {
+    const anonymous = sessionCookie(await request("GET", "/csrf"));
+    const csrf = (await request("GET", "/csrf", anonymous)).body;
+    const login = await request("POST", "/login", anonymous, {
+      headers: { "x-csrf-token": csrf },
+    });
+    const stale = await request("GET", "/me", anonymous);
+
+    assert.equal(login.statusCode, 200);
+    assert.notEqual(sessionCookie(login).value, anonymous.value);
+    assert.equal(stale.body, "null");
+  });
+
+  test("requires a CSRF token on cookie-authenticated writes", async () => {
+    const login = await request("POST", "/login");
+    const cookie = sessionCookie(login);
+    const rejected = await request("POST", "/notes", cookie);
+    const accepted = await request("POST", "/notes", cookie, {
+      headers: { "x-csrf-token": login.body },
+    });
+
+    assert.equal(rejected.statusCode, 403);
+    assert.equal(rejected.json().code, "CSRF_TOKEN_INVALID");
+    assert.equal(accepted.body, "saved");
+  });
+
+  test("clears the cookie on logout", async () => {
+    const login = await request("POST", "/login");
+    const cookie = sessionCookie(login);
+    const logout = await request("POST", "/logout", cookie, {
+      headers: { "x-csrf-token": login.body },
+    });
+
+    assert.equal(sessionCookie(logout).value, "");
+    assert.equal((await request("GET", "/me", cookie)).body, "null");
+  });
+
+  test("sets no-cache and custom headers through reply helpers", async () => {
+    const response = await request("GET", "/private");
+
+    assert.match(response.headers["cache-control"], /no-store/);
+    assert.equal(response.headers["x-tenant"], tenantId);
+  });
+
+  test("persists sessions in files until they expire", async () => {
+    const store = new FileSessionStore(path.join(baseDir, "store"));
+    const id = "a".repeat(32);
+
+    await store.set(id, { user: "u1" }, 60_000);
+    assert.deepEqual(await store.get(id), { user: "u1" });
+
+    await store.set(id, { user: "u1" }, -1);
+    assert.equal(await store.get(id), null);
+    await assert.rejects(store.get("../escape"), /Invalid session id/);
+  });
+});
+
+describe("Database plugin", () => {
+  const createServer = (database) =>
+    new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      tenants: { autoLoad: false },
+      plugins: { database },
+    });
+
+  test("connects to SQLite and reports it in /health", async () => {
+    const server = createServer({ dialect: "sqlite", onUnavailable: "fail" });
+    const app = await server.start();
+
+    try {
+      const [rows] = await app.db.query("SELECT 1 + 1 AS sum");
+      const health = (await app.inject("/health")).json();
+      const live = await app.inject("/health/db");
+
+      assert.equal(rows[0].sum, 2);
+      assert.equal(health.status, "healthy");
+      assert.equal(health.database.status, "connected");
+      assert.equal(health.database.dialect, "sqlite");
+      assert.equal(live.statusCode, 200);
+      assert.equal(typeof live.json().latencyMs, "number");
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test("degrades while the database is unreachable", async () => {
+    const server = createServer({
+      host: "127.0.0.1",
+      port: 1,
+      retry: { attempts: 2, initialDelayMs: 10 },
+    });
+    const app = await server.start();
+
+    try {
+      while (app.database.status === "connecting") {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      const health = (await app.inject("/health")).json();
+      const live = await app.inject("/health/db");
+
+      assert.equal(health.status, "degraded");
+      assert.equal(health.database.status, "unavailable");
+      assert.match(health.database.error, /ECONNREFUSED/);
+      assert.equal(live.statusCode, 503);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test("reconnects in the background once the database is back", async () => {
+    let failures = 4;
+    const statuses = [];
+    const sequelize = {
+      getDialect: () => "postgres",
+      authenticate: async () => {
+        statuses.push(connection.status);
+        if (failures-- > 0) {
+          throw new Error("ECONNREFUSED");
+        }
+      },
+    };
+    const logger = { info() {}, warn() {}, error() {}, debug() {} };
+    const connection = new DatabaseConnection(sequelize, logger, {
+      retry: { attempts: 2, initialDelayMs: 1, maxDelayMs: 2 },
+    });
+
+    // Background retries do not hold the event loop; a server would
+    const keepAlive = setInterval(() => {}, 1000);
+    try {
+      assert.equal(await connection.connect({ keepRetrying: true }), true);
+    } finally {
+      clearInterval(keepAlive);
+    }
+    assert.deepEqual(statuses, [
+      "connecting",
+      "connecting",
+      "unavailable",
+      "unavailable",
+      "unavailable",
+    ]);
+    assert.equal(connection.status, "connected");
+  });
+
+  test("fails startup when onUnavailable is 'fail'", async () => {
+    const server = createServer({
+      host: "127.0.0.1",
+      port: 1,
+      onUnavailable: "fail",
+      retry: { attempts: 2, initialDelayMs: 10 },
+    });
+
+    await assert.rejects(
+      server.start(),
+      /Database unavailable after 2 attempts/
+    );
+    await server.app?.close();
+  });
+});
+
+describe("Tenant database isolation", () => {
+  let server;
+  let app;
+  let baseDir;
+
+  const createTenant = async (id, database) => {
+    const tenantDir = path.join(baseDir, id);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(
+      path.join(tenantDir, "config.json"),
+      JSON.stringify({ database })
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.post("/notes", async () => {
+          await fastify.db.query("CREATE TABLE IF NOT EXISTS notes (id INTEGER)");
+          await fastify.db.query("INSERT INTO notes VALUES (1)");
+          const [rows] = await fastify.db.query("SELECT COUNT(*) AS count FROM notes");
+          return rows[0];
+        });
+      }`
+    );
+    return server.initTenant(tenantDir);
+  };
+  const addNote = async (tenantId) =>
+    (await app.inject({ method: "POST", url: `/${tenantId}/notes` })).json()
+      .count;
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "isolation-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      plugins: {
+        database: {
+          dialect: "sqlite",
+          storage: path.join(baseDir, "shared.db"),
+          isolation: "database",
+          tenantStorage: path.join(baseDir, "{tenantId}.db"),
+        },
+      },
+    });
+    app = await server.start();
+
+    await createTenant("north", {});
+    await createTenant("south", {});
+    await createTenant("east", { isolation: "shared" });
+    await createTenant("west", { isolation: "shared" });
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("gives database-per-tenant tenants their own connection", async () => {
+    const north = server.tenantManager.getTenant("north").app.db;
+
+    assert.notEqual(north, app.db);
+    assert.equal(north.options.storage, path.join(baseDir, "north.db"));
+    assert.equal(await addNote("north"), 1);
+    assert.equal(await addNote("north"), 2);
+    assert.equal(await addNote("south"), 1);
+  });
+
+  test("lets shared tenants use the platform connection", async () => {
+    assert.equal(server.tenantManager.getTenant("east").app.db, app.db);
+    assert.equal(await addNote("east"), 1);
+    assert.equal(await addNote("west"), 2);
+  });
+
+  test("connects lazily and releases the pool on unload", async () => {
+    const { tenantDatabases } = app;
+    await createTenant("idle", {});
+
+    assert.ok(tenantDatabases.connections.has("idle"));
+    await assert.rejects(stat(path.join(baseDir, "idle.db")), {
+      code: "ENOENT",
+    });
+
+    await server.unloadTenant("idle");
+    assert.equal(tenantDatabases.connections.has("idle"), false);
+  });
+
+  test("keeps the connection across reloads until the settings change", async () => {
+    const { tenantDatabases } = app;
+    await createTenant("moving", {});
+    const first = server.tenantManager.getTenant("moving").app.db;
+
+    await server.reloadTenant("moving");
+    assert.equal(server.tenantManager.getTenant("moving").app.db, first);
+
+    const storage = path.join(baseDir, "moved.db");
+    await writeFile(
+      path.join(baseDir, "moving", "config.json"),
+      JSON.stringify({ database: { url: `sqlite:${storage}` } })
+    );
+    await server.reloadTenant("moving");
+    const moved = server.tenantManager.getTenant("moving").app.db;
+
+    assert.notEqual(moved, first);
+    assert.equal(moved.options.storage, storage);
+    assert.equal(await addNote("moving"), 1);
+    assert.deepEqual(
+      [...tenantDatabases.open]
+        .filter((entry) => entry.tenantId === "moving")
+        .map((entry) => entry.sequelize),
+      [moved]
+    );
+  });
+
+  test("releases the connection of a tenant that fails to load", async () => {
+    const { tenantDatabases } = app;
+    const tenantDir = path.join(baseDir, "broken");
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(path.join(tenantDir, "config.json"), "{}");
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function () {
+        throw new Error("Broken routes");
+      }`
+    );
+
+    await assert.rejects(server.initTenant(tenantDir), /Failed to initialize/);
+    assert.equal(tenantDatabases.connections.has("broken"), false);
+    assert.equal(
+      [...tenantDatabases.open].some((entry) => entry.tenantId === "broken"),
+      false
+    );
+  });
+
+  test("resolves unqualified names in the tenant schema", () => {
+    const { tenantDatabases } = app;
+    const settings = tenantDatabases.settingsFor(
+      { id: "acme-co", config: { database: {} } },
+      "schema"
+    );
+    const sequelize = createSequelize(
+      { ...settings, dialect: "postgres", url: undefined },
+      app.log
+    );
+
+    assert.equal(settings.schema, "tenant_acme_co");
+    assert.equal(sequelize.options.define.schema, "tenant_acme_co");
+    assert.equal(
+      sequelize.options.dialectOptions.options,
+      '-c search_path="tenant_acme_co"'
+    );
+  });
+});
+
+describe("Row-level tenant isolation", () => {
+  let server;
+  let app;
+  let baseDir;
+  let scope;
+  let Task;
+  let Project;
+
+  const createTenant = async (id) => {
+    const tenantDir = path.join(baseDir, id);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await writeFile(path.join(tenantDir, "config.json"), "{}");
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        const Task = fastify.db.models.Task;
+        fastify.get("/tasks", async () =>
+          (await Task.findAll({ order: [["title", "ASC"]] })).map((t) => t.title)
+        );
+        fastify.post("/tasks", async (request) => Task.create(request.body));
+      }`
+    );
+    return server.initTenant(tenantDir);
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "row-isolation-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      plugins: {
+        database: {
+          dialect: "sqlite",
+          isolation: "row",
+          onUnavailable: "fail",
+        },
+      },
+    });
+    app = await server.start();
+    scope = app.tenantScope;
+
+    Project = app.db.define("Project", { name: DataTypes.STRING });
+    Task = app.db.define("Task", { title: DataTypes.STRING });
+    Project.hasMany(Task);
+    await app.db.sync();
+
+    await createTenant("acme");
+    await createTenant("globex");
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("scopes requests to the tenant's rows", async () => {
+    const create = (tenantId, title) =>
+      app.inject({
+        method: "POST",
+        url: `/${tenantId}/tasks`,
+        payload: { title },
+      });
+
+    const created = await create("acme", "invoice");
+    await create("acme", "audit");
+    await create("globex", "launch");
+
+    assert.equal(created.json().tenantId, "acme");
+    assert.deepEqual((await app.inject("/acme/tasks")).json(), [
+      "audit",
+      "invoice",
+    ]);
+    assert.deepEqual((await app.inject("/globex/tasks")).json(), ["launch"]);
+  });
+
+  test("scopes updates, deletes, counts and includes", async () => {
+    await scope.run("acme", async () => {
+      const project = await Project.create({ name: "books" });
+      await Task.update({ ProjectId: project.id }, { where: {} });
+    });
+
+    await scope.run("globex", async () => {
+      assert.equal(await Task.count(), 1);
+      assert.deepEqual(await Task.update({ title: "x" }, { where: {} }), [1]);
+      assert.equal(await Task.destroy({ where: { title: "invoice" } }), 0);
+
+      // Another tenant's project is invisible, its tasks as well
+      assert.equal(await Project.findOne(), null);
+    });
+
+    const tasks = await scope.run("acme", async () =>
+      (await Project.findOne({ include: Task })).Tasks.map((t) => t.title)
+    );
+    assert.deepEqual(tasks.sort(), ["audit", "invoice"]);
+  });
+
+  test("rejects queries without a tenant context", async () => {
+    await assert.rejects(Task.findAll(), { code: "TENANT_CONTEXT_REQUIRED" });
+    await assert.rejects(Task.create({ title: "orphan" }), {
+      code: "TENANT_CONTEXT_REQUIRED",
+    });
+  });
+
+  test("rejects writes to rows of another tenant", async () => {
+    const task = await scope.run("acme", () => Task.findOne());
+
+    await scope.run("globex", async () => {
+      await assert.rejects(task.update({ title: "stolen" }), {
+        code: "TENANT_SCOPE_VIOLATION",
+      });
+      await assert.rejects(Task.create({ title: "x", tenantId: "acme" }), {
+        code: "TENANT_SCOPE_VIOLATION",
+      });
+    });
+  });
+
+  test("runs queries marked as cross-tenant on every tenant", async () => {
+    assert.equal(await Task.count({ crossTenant: true }), 3);
+    assert.equal((await scope.crossTenant(() => Task.findAll())).length, 3);
+  });
+
+  test("scopes the models of tenants choosing row isolation", async () => {
+    const shared = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      plugins: { database: { dialect: "sqlite", onUnavailable: "fail" } },
+    });
+    const sharedApp = await shared.start();
+
+    try {
+      for (const id of ["north", "south"]) {
+        const tenantDir = path.join(baseDir, id);
+        for (const dir of ["models", "routes"]) {
+          await mkdir(path.join(tenantDir, dir), { recursive: true });
+        }
+        await writeFile(
+          path.join(tenantDir, "config.json"),
+          JSON.stringify({ database: { isolation: "row" } })
+        );
+        await writeFile(
+          path.join(tenantDir, "models", "note.mjs"),
+          `export default (sequelize, DataTypes) =>
+            sequelize.define("Note", { title: DataTypes.STRING });`
+        );
+        await writeFile(
+          path.join(tenantDir, "routes", "index.mjs"),
+          `export default async function (fastify) {
+            const { Note } = fastify.models;
+            fastify.get("/notes", async () =>
+              (await Note.findAll()).map((note) => note.title)
+            );
+            fastify.post("/notes", async (request) => Note.create(request.body));
+          }`
+        );
+        const tenant = await shared.initTenant(tenantDir);
+        await tenant.getModel("Note").sync();
+      }
+
+      await sharedApp.inject({
+        method: "POST",
+        url: "/north/notes",
+        payload: { title: "north only" },
+      });
+
+      assert.deepEqual((await sharedApp.inject("/north/notes")).json(), [
+        "north only",
+      ]);
+      assert.deepEqual((await sharedApp.inject("/south/notes")).json(), []);
+    } finally {
+      await shared.stop();
+    }
+  });
+});
+
+describe("Tenant models", () => {
+  let server;
+  let app;
+  let baseDir;
+
+  const createTenant = async (id) => {
+    const tenantDir = path.join(baseDir, id);
+    for (const dir of ["models", "services", "routes"]) {
+      await mkdir(path.join(tenantDir, dir), { recursive: true });
+    }
+    await writeFile(path.join(tenantDir, "config.json"), "{}");
+    await writeFile(
+      path.join(tenantDir, "models", "author.mjs"),
+      `export default (sequelize, DataTypes) => {
+        const Author = sequelize.define("Author", { name: DataTypes.STRING });
+        Author.associate = ({ Book }) => Author.hasMany(Book, { as: "books" });
+        return Author;
+      };`
+    );
+    await writeFile(
+      path.join(tenantDir, "models", "book.mjs"),
+      `export default (sequelize, DataTypes, { tenantId }) => {
+        const Book = sequelize.define("Book", {
+          title: DataTypes.STRING,
+          edition: { type: DataTypes.STRING, defaultValue: tenantId },
+        });
+        Book.associate = ({ Author }) => Book.belongsTo(Author);
+        return Book;
+      };`
+    );
+    await writeFile(
+      path.join(tenantDir, "services", "catalog.mjs"),
+      `export default (db, config, { models }) => ({
+        publish: (name, title) =>
+          models.Author.create(
+            { name, books: [{ title }] },
+            { include: [{ model: models.Book, as: "books" }] }
+          ),
+      });`
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/books", async () =>
+          (await fastify.models.Book.findAll({ include: fastify.models.Author }))
+            .map((book) => [book.title, book.edition, book.Author.name])
+        );
+      }`
+    );
+
+    const tenant = await server.initTenant(tenantDir);
+    await tenant.app.db.sync();
+    return tenant;
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "models-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      plugins: {
+        database: {
+          dialect: "sqlite",
+          isolation: "database",
+          onUnavailable: "fail",
+        },
+      },
+    });
+    app = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("defines models on the tenant connection with their associations", async () => {
+    const tenant = await createTenant("library");
+
+    assert.deepEqual(tenant.listModels().sort(), ["Author", "Book"]);
+    assert.equal(tenant.getModel("Book").sequelize, tenant.app.db);
+    assert.notEqual(tenant.app.db, app.db);
+    assert.ok(tenant.getModel("Author").associations.books);
+    assert.deepEqual(tenant.toJSON().models.sort(), ["Author", "Book"]);
+  });
+
+  test("hands the models to services and routes", async () => {
+    const tenant = await createTenant("archive");
+
+    await tenant.getService("catalog").publish("Le Guin", "Earthsea");
+
+    assert.deepEqual((await app.inject("/archive/books")).json(), [
+      ["Earthsea", "archive", "Le Guin"],
+    ]);
+    assert.deepEqual((await app.inject("/library/books")).json(), []);
+  });
+
+  test("fails the tenant load when a model cannot be defined", async () => {
+    const tenantDir = path.join(baseDir, "misshelved");
+    await mkdir(path.join(tenantDir, "models"), { recursive: true });
+    await writeFile(path.join(tenantDir, "config.json"), "{}");
+    await writeFile(
+      path.join(tenantDir, "models", "shelf.mjs"),
+      `export default (sequelize, DataTypes) =>
+        sequelize.define("Shelf", { label: DataTypes.NOT_A_TYPE });`
+    );
+
+    await assert.rejects(server.initTenant(tenantDir), /Failed to initialize/);
+    assert.equal(server.tenantManager.getTenant("misshelved"), null);
+    assert.match(
+      server.tenantManager.findLoadEntry({ source: tenantDir }).error,
+      /Failed to load model from .*shelf\.mjs/
+    );
+  });
+});
+
+describe("Tenant migrations", () => {
+  let server;
+  let app;
+  let baseDir;
+
+  const admin = (method, url, payload) =>
+    app.inject({
+      method,
+      url: `/admin/tenants${url}`,
+      headers: { authorization: "Bearer secret" },
+      payload,
+    });
+
+  const createTenant = async (id, migrations) => {
+    const tenantDir = path.join(baseDir, id);
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await mkdir(path.join(tenantDir, "migrations"), { recursive: true });
+    await writeFile(path.join(tenantDir, "config.json"), "{}");
+    for (const [file, content] of Object.entries(migrations)) {
+      await writeFile(path.join(tenantDir, "migrations", file), content);
+    }
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/accounts", async () => {
+          const [rows] = await fastify.db.query("SELECT name FROM ${id}_accounts");
+          return rows.map((row) => row.name);
+        });
+      }`
+    );
+    return tenantDir;
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "migrations-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      admin: { token: "secret" },
+      plugins: { database: { dialect: "sqlite", onUnavailable: "fail" } },
+    });
+    app = await server.start();
+
+    await server.initTenant(
+      await createTenant("ledger", {
+        "001_accounts.up.sql": `-- Accounts of the ledger
+          CREATE TABLE ledger_accounts (id INTEGER PRIMARY KEY, name TEXT);
+          INSERT INTO ledger_accounts (name) VALUES ('cash');`,
+        "001_accounts.down.sql": "DROP TABLE ledger_accounts;",
+        "002_entries.mjs": `
+          export const up = ({ queryInterface, DataTypes, transaction }) =>
+            queryInterface.createTable(
+              "ledger_entries",
+              { id: { type: DataTypes.INTEGER, primaryKey: true } },
+              { transaction }
+            );
+          export const down = ({ queryInterface, transaction }) =>
+            queryInterface.dropTable("ledger_entries", { transaction });`,
+      })
+    );
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("applies pending migrations when the tenant loads", async () => {
+    const status = (await admin("GET", "/ledger/migrations")).json().data;
+
+    assert.deepEqual(
+      status.map(({ name, applied }) => [name, applied]),
+      [
+        ["001_accounts", true],
+        ["002_entries", true],
+      ]
+    );
+    assert.deepEqual((await app.inject("/ledger/accounts")).json(), ["cash"]);
+  });
+
+  test("rolls back and reapplies migrations on demand", async () => {
+    const down = await admin("POST", "/ledger/migrations/down", { steps: 2 });
+    const tables = await app.db.getQueryInterface().showAllTables();
+    const up = await admin("POST", "/ledger/migrations/up");
+
+    assert.deepEqual(down.json().data.rolledBack, [
+      "002_entries",
+      "001_accounts",
+    ]);
+    assert.equal(tables.includes("ledger_accounts"), false);
+    assert.deepEqual(up.json().data.applied, ["001_accounts", "002_entries"]);
+  });
+
+  test("refuses to serve a tenant whose migrations failed", async () => {
+    const ledgerDir = path.join(baseDir, "ledger");
+    const badMigration = path.join(ledgerDir, "migrations", "003_bad.sql");
+    await writeFile(badMigration, "CREATE TABLE;");
+
+    const failed = await admin("POST", "/ledger/migrations/up");
+    const blocked = await app.inject("/ledger/accounts");
+
+    assert.equal(failed.statusCode, 503);
+    assert.equal(blocked.statusCode, 503);
+    assert.equal(blocked.json().code, "TENANT_MIGRATION_FAILED");
+    assert.equal(blocked.json().migration, "003_bad");
+
+    await rm(badMigration);
+    await admin("POST", "/ledger/migrations/up");
+    assert.deepEqual((await app.inject("/ledger/accounts")).json(), ["cash"]);
+  });
+
+  test("does not load a tenant whose migrations fail", async () => {
+    const tenantDir = await createTenant("broken", {
+      "001_bad.sql": "CREATE TABLE;",
+    });
+
+    await assert.rejects(server.initTenant(tenantDir));
+    const entry = server.tenantManager.getLoadReport().entries.at(-1);
+
+    assert.equal(server.tenantManager.getTenant("broken"), null);
+    assert.equal(entry.status, "failed");
+    assert.equal(entry.code, "TENANT_MIGRATION_FAILED");
+  });
+});
+
+describe("Tenant seeds", () => {
+  let server;
+  let app;
+  let seedsDir;
+  let baseDir;
+
+  const admin = (method, url) =>
+    app.inject({
+      method,
+      url: `/admin/tenants${url}`,
+      headers: { authorization: "Bearer secret" },
+    });
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "seeds-"));
+    const tenantDir = path.join(baseDir, "notes");
+    seedsDir = path.join(tenantDir, "seeds");
+    await mkdir(path.join(tenantDir, "routes"), { recursive: true });
+    await mkdir(path.join(tenantDir, "services"), { recursive: true });
+    await mkdir(seedsDir, { recursive: true });
+    await writeFile(path.join(tenantDir, "config.json"), "{}");
+    await writeFile(
+      path.join(tenantDir, "services", "noteService.mjs"),
+      `import { ConflictError, ValidationError } from "${import.meta.resolve("@internal/shared")}";
+      export default function createNoteService() {
+        const notes = new Map();
+        return {
+          list: () => [...notes.keys()],
+          create(note) {
+            if (!note.title) throw new ValidationError("Title is required");
+            if (notes.has(note.title)) throw new ConflictError();
+            notes.set(note.title, note);
+            return note;
+          },
+        };
+      }`
+    );
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/notes", async (request) =>
+          request.tenant.getService("noteService").list()
+        );
+      }`
+    );
+    await writeFile(
+      path.join(seedsDir, "001_welcome.json"),
+      JSON.stringify({
+        service: "noteService",
+        records: [{ title: "welcome" }, { title: "getting-started" }],
+      })
+    );
+    await writeFile(
+      path.join(seedsDir, "002_demo.mjs"),
+      `export default async ({ services, environment }) => {
+        services.noteService.create({ title: "demo-" + environment });
+      };`
+    );
+    await writeFile(
+      path.join(seedsDir, "003_production.json"),
+      JSON.stringify({
+        environments: ["production"],
+        service: "noteService",
+        records: [{ title: "production" }],
+      })
+    );
+
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+      admin: { token: "secret" },
+      plugins: { database: { dialect: "sqlite", onUnavailable: "fail" } },
+      seeds: { runOnLoad: true, environment: "development" },
+    });
+    app = await server.start();
+    await server.initTenant(tenantDir);
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("applies the environment's seeds through the services on load", async () => {
+    const notes = (await app.inject("/notes/notes")).json();
+    const status = (await admin("GET", "/notes/seeds")).json().data;
+
+    assert.deepEqual(notes, ["welcome", "getting-started", "demo-development"]);
+    assert.deepEqual(
+      status.map(({ name, applies, applied }) => [name, applies, applied]),
+      [
+        ["001_welcome", true, true],
+        ["002_demo", true, true],
+        ["003_production", false, false],
+      ]
+    );
+  });
+
+  test("does not apply a seed twice", async () => {
+    const response = await admin("POST", "/notes/seeds");
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json().data, {
+      environment: "development",
+      applied: [],
+    });
+    assert.equal((await app.inject("/notes/notes")).json().length, 3);
+  });
+
+  test("rejects invalid seed records and runs them again once fixed", async () => {
+    const seedFile = path.join(seedsDir, "004_more.json");
+    await writeFile(
+      seedFile,
+      JSON.stringify({
+        service: "noteService",
+        records: [{ title: "more" }, { body: "untitled" }],
+      })
+    );
+
+    const failed = await admin("POST", "/notes/seeds");
+    assert.equal(failed.statusCode, 422);
+    assert.equal(failed.json().code, "TENANT_SEED_FAILED");
+    assert.equal(failed.json().seed, "004_more");
+
+    await writeFile(
+      seedFile,
+      JSON.stringify({
+        service: "noteService",
+        records: [{ title: "more" }, { title: "untitled" }],
+      })
+    );
+    const applied = (await admin("POST", "/notes/seeds")).json().data;
+
+    assert.deepEqual(applied.applied, [
+      { name: "004_more", result: { created: 1, skipped: 1 } },
+    ]);
+  });
+});
+
+describe("Tenant service container", () => {
+  let server;
+  let app;
+  let baseDir;
+
+  const createTenant = async (id, services) => {
+    const tenantDir = path.join(baseDir, id);
+    for (const dir of ["services", "routes"]) {
+      await mkdir(path.join(tenantDir, dir), { recursive: true });
+    }
+    await writeFile(path.join(tenantDir, "config.json"), "{}");
+    for (const [name, source] of Object.entries(services)) {
+      await writeFile(path.join(tenantDir, "services", `${name}.mjs`), source);
+    }
+    await writeFile(
+      path.join(tenantDir, "routes", "index.mjs"),
+      `export default async function (fastify) {
+        fastify.get("/greeting", async (request) => {
+          const greeter = request.getService("greeter");
+          return {
+            text: greeter.greet(),
+            same: greeter === request.getService("greeter"),
+          };
+        });
+      }`
+    );
+    return await server.initTenant(tenantDir);
+  };
+
+  before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "services-"));
+    server = new MultiTenantServer({
+      server: { port: 0 },
+      logger: { level: "silent" },
+    });
+    app = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("builds services lazily after their dependencies", () => {
+    const built = [];
+    const container = new ServiceContainer();
+    container.register("mailer", {
+      factory: (config) => built.push("mailer") && { from: config.from },
+      inject: ["config"],
+    });
+    container.register("signup", {
+      factory: class Signup {
+        constructor(mailer) {
+          built.push("signup");
+          this.mailer = mailer;
+        }
+      },
+      isClass: true,
+      inject: ["mailer"],
+    });
+    container.registerValue("config", { from: "hi@x.io" }, { provided: true });
+
+    assert.deepEqual(built, []);
+    const signup = container.resolve("signup");
+
+    assert.deepEqual(built, ["mailer", "signup"]);
+    assert.equal(signup.mailer.from, "hi@x.io");
+    assert.equal(container.resolve("signup"), signup);
+    assert.deepEqual(container.list(), ["mailer", "signup"]);
+  });
+
+  test("reports dependency cycles and unknown dependencies", () => {
+    const container = new ServiceContainer();
+    container.register("a", { factory: () => ({}), inject: ["b"] });
+    container.register("b", { factory: () => ({}), inject: ["a"] });
+
+    assert.throws(() => container.validate(), {
+      message: "Circular service dependency: a -> b -> a",
+    });
+    assert.throws(() => container.resolve("b"), {
+      message: "Circular service dependency: b -> a -> b",
+    });
+
+    container.register("b", { factory: () => ({}), inject: ["missing"] });
+    assert.throws(() => container.validate(), {
+      message: "Unknown service 'missing' required by 'b'",
+    });
+  });
+
+  test("keeps request-scoped services per scope", () => {
+    const container = new ServiceContainer();
+    container.register("cart", {
+      factory: (request) => ({ owner: request.user }),
+      inject: ["request"],
+      lifetime: "request",
+    });
+
+    const first = container.createScope({ user: "ada" });
+    const second = container.createScope({ user: "bob" });
+
+    assert.equal(first.get("cart"), first.get("cart"));
+    assert.equal(first.get("cart").owner, "ada");
+    assert.equal(second.get("cart").owner, "bob");
+    assert.throws(() => container.resolve("cart"), /request-scoped/);
+
+    container.register("checkout", { factory: () => ({}), inject: ["cart"] });
+    assert.throws(() => container.validate(), {
+      message:
+        "Request-scoped service 'cart' cannot be injected into singleton 'checkout'",
+    });
+  });
+
+  test("injects tenant values, platform services and request scope", async () => {
+    const tenant = await createTenant("greetings", {
+      clock: `export const inject = ["tenantId", "tenantManager"];
+        export default (tenantId, tenantManager) => ({
+          now: () => \`\${tenantId} of \${tenantManager.getStats().total}\`,
+        });`,
+      greeter: `export const inject = ["clock", "logger", "request"];
+        export const lifetime = "request";
+        export default class Greeter {
+          constructor(clock, logger, request) {
+            this.clock = clock;
+            this.logger = logger;
+            this.request = request;
+          }
+          greet() {
+            return \`\${this.request.tenantId}: \${this.clock.now()}\`;
+          }
+        }`,
+      legacy: `export default (db, config, { tenantId }) => ({ tenantId });`,
+    });
+
+    assert.deepEqual(tenant.listServices(), ["clock", "greeter", "legacy"]);
+    assert.equal(tenant.getService("legacy").tenantId, "greetings");
+    assert.equal(tenant.services.clock, tenant.getService("clock"));
+
+    const response = await app.inject("/greetings/greeting");
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json(), {
+      text: `greetings: greetings of ${server.tenantManager.getStats().total}`,
+      same: true,
+    });
+  });
+
+  test("does not load a tenant whose services form a cycle", async () => {
+    await assert.rejects(
+      createTenant("tangled", {
+        eggs: `export const inject = ["hens"]; export default () => ({});`,
+        hens: `export const inject = ["eggs"]; export default () => ({});`,
+      })
+    );
+    assert.equal(server.tenantManager.getTenant("tangled"), null);
+  });
+
+  test("builds singletons up front and leaves request-scoped ones", async () => {
+    const built = [];
+    const container = new ServiceContainer();
+    container.register("clock", { factory: () => built.push("clock") && {} });
+    container.register("cart", {
+      factory: () => built.push("cart") && {},
+      lifetime: "request",
+    });
+    await container.buildSingletons();
+    assert.deepEqual(built, ["clock"]);
+
+    container.register("mailer", {
+      factory: () => {
+        throw new Error("No SMTP host");
+      },
+    });
+    await assert.rejects(container.buildSingletons(), {
+      message: "Failed to build service 'mailer': No SMTP host",
+    });
+  });
+
+  test("does not load a tenant whose singleton factory throws", async () => {
+    await assert.rejects(
+      createTenant("unmailable", {
+        mailer: `export default () => { throw new Error("No SMTP host"); };`,
+      })
+    );
+    assert.equal(server.tenantManager.getTenant("unmailable"), null);
+  });
 });
@@ -1,25 +1,218 @@
+import { createPublicKey, createSecretKey } from "crypto";
+import { readFile } from "fs/promises";
+import path from "path";
+import fastifyPlugin from "fastify-plugin";
 import fastifyAuth from "@fastify/auth";
+import jwt from "jsonwebtoken";
+import { UnauthorizedError } from "@internal/shared";
 
-export const basicAuthPlugin = async (fastify, options = {}) => {
-  fastify.register(fastifyAuth);
-
-  if (options.username && options.password)
-    fastify.register(fastifyAuth, {
-      validate: async (username, password, req, reply) => {
-        if (username === options.username && password === options.password) {
-          return true;
-        }
-        return false;
-      },
-      authenticate: true,
-    });
-
-  if (options.bearerKeys)
-    fastify.register(fastifyAuth, {
-      addHook: false,
-      keys: options.bearerKeys,
-      verifyErrorLogLevel: "debug",
-    });
+const HMAC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const PUBLIC_KEY_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+// Unknown key ids refetch the JWKS at most this often (key rotation)
+const JWKS_REFETCH_COOLDOWN_MS = 30_000;
+
+const jwkToKey = (jwk) =>
+  jwk.kty === "oct"
+    ? createSecretKey(Buffer.from(jwk.k, "base64url"))
+    : createPublicKey({ key: jwk, format: "jwk" });
+
+/**
+ * JSON Web Key Set from a URL, a local file or an inline document,
+ * cached by key id
+ */
+export class JwksKeyStore {
+  constructor(source, { baseDir = process.cwd(), cacheSeconds = 600 } = {}) {
+    this.source = source;
+    this.baseDir = baseDir;
+    this.cacheMs = cacheSeconds * 1000;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  async fetchDocument() {
+    if (typeof this.source === "object") {
+      return this.source;
+    }
+
+    if (/^https?:\/\//.test(this.source)) {
+      const response = await fetch(this.source, {
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!response.ok) {
+        throw new Error(`JWKS request failed with status ${response.status}`);
+      }
+      return response.json();
+    }
+
+    const file = path.resolve(this.baseDir, this.source);
+    return JSON.parse(await readFile(file, "utf8"));
+  }
+
+  async refresh() {
+    // Concurrent requests share one fetch
+    this.pending ??= this.fetchDocument()
+      .then((document) => {
+        this.keys = new Map(
+          (document.keys || [])
+            .filter((jwk) => !jwk.use || jwk.use === "sig")
+            .map((jwk) => [jwk.kid ?? null, jwkToKey(jwk)])
+        );
+        this.fetchedAt = Date.now();
+      })
+      .finally(() => {
+        this.pending = null;
+      });
+    return this.pending;
+  }
+
+  async getKey(kid = null) {
+    const age = Date.now() - this.fetchedAt;
+    if (
+      age > this.cacheMs ||
+      (!this.keys.has(kid) && age > JWKS_REFETCH_COOLDOWN_MS)
+    ) {
+      await this.refresh();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new Error(`No JWKS key with kid '${kid}'`);
+    }
+    return key;
+  }
+}
+
+/**
+ * Bearer token verification with the keys of one tenant
+ */
+export class TenantTokenVerifier {
+  constructor(tenant, jwtConfig = {}, defaults = {}) {
+    const baseDir = tenant.config.path || tenant.config.source;
+    const { secret, publicKey, jwks } = jwtConfig;
+
+    if (secret) {
+      this.key = secret;
+      this.algorithms = jwtConfig.algorithms || HMAC_ALGORITHMS;
+    } else if (publicKey) {
+      this.key = publicKey; // PEM, e.g. "${file:keys/public.pem}"
+      this.algorithms = jwtConfig.algorithms || PUBLIC_KEY_ALGORITHMS;
+    } else if (jwks) {
+      const store = new JwksKeyStore(jwks, {
+        baseDir,
+        cacheSeconds: jwtConfig.jwksCacheSeconds ?? defaults.jwksCacheSeconds,
+      });
+      this.key = (header, callback) =>
+        store.getKey(header.kid).then((key) => callback(null, key), callback);
+      this.algorithms = jwtConfig.algorithms || [
+        ...PUBLIC_KEY_ALGORITHMS,
+        ...HMAC_ALGORITHMS,
+      ];
+    } else {
+      throw new Error(
+        `Tenant ${tenant.id}: auth.jwt needs a secret, publicKey or jwks`
+      );
+    }
+
+    // Tokens are bound to the tenant: its audience defaults to the tenant id
+    this.options = {
+      algorithms: this.algorithms,
+      issuer: jwtConfig.issuer,
+      audience: jwtConfig.audience ?? tenant.id,
+      clockTolerance: jwtConfig.clockTolerance ?? defaults.clockTolerance ?? 0,
+    };
+    this.tenantId = tenant.id;
+    this.tenantClaim = jwtConfig.tenantClaim;
+  }
+
+  async verify(token) {
+    const claims = await new Promise((resolve, reject) =>
+      jwt.verify(token, this.key, this.options, (err, decoded) =>
+        err ? reject(err) : resolve(decoded)
+      )
+    );
+
+    if (this.tenantClaim && claims[this.tenantClaim] !== this.tenantId) {
+      throw new jwt.JsonWebTokenError(`jwt ${this.tenantClaim} invalid`);
+    }
+    return claims;
+  }
+}
+
+const bearerToken = (request) => {
+  const [scheme, token] = (request.headers.authorization || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token : null;
+};
+
+const challenge = (reply, error) =>
+  reply.header(
+    "WWW-Authenticate",
+    error ? `Bearer error="${error}"` : "Bearer"
+  );
+
+export const authPlugin = async (fastify, options) => {
+  const { tenant, clockTolerance, jwksCacheSeconds } = options;
+  const authConfig = tenant?.config.auth || {};
+
+  await fastify.register(fastifyAuth);
+  fastify.decorateRequest("user", null);
+
+  // preHandler for routes that need a user: { preHandler: fastify.authenticate }
+  fastify.decorate("authenticate", async (request, reply) => {
+    if (!request.user) {
+      challenge(reply);
+      throw new UnauthorizedError();
+    }
+  });
+
+  // The platform app and tenants without auth.jwt accept no tokens
+  if (!authConfig.jwt) {
+    return;
+  }
+
+  const verifier = new TenantTokenVerifier(tenant, authConfig.jwt, {
+    clockTolerance,
+    jwksCacheSeconds,
+  });
+
+  fastify.addHook("onRequest", async (request, reply) => {
+    const token = bearerToken(request);
+    const routeAuth = request.routeOptions.config?.auth;
+    const required = routeAuth ?? authConfig.required === true;
+
+    if (!token) {
+      // request.user may already come from a session login (cookie plugin)
+      if (required && !request.user) {
+        challenge(reply);
+        throw new UnauthorizedError();
+      }
+      return;
+    }
+
+    try {
+      request.user = await verifier.verify(token);
+    } catch (err) {
+      request.log.debug({ err }, "Rejected bearer token");
+      challenge(reply, "invalid_token");
+
+      throw err.name === "TokenExpiredError"
+        ? new UnauthorizedError("Token expired", { code: "TOKEN_EXPIRED" })
+        : new UnauthorizedError("Invalid token", { code: "INVALID_TOKEN" });
+    }
+  });
 };
 
-export default basicAuthPlugin;
+// Not encapsulated: request.user and fastify.authenticate are used by the
+// routes of the app (platform or tenant instance) it is registered on
+export default fastifyPlugin(authPlugin, { name: "tenant-auth" });
@@ -1,42 +1,355 @@
+import { randomBytes, timingSafeEqual } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import fastifyPlugin from "fastify-plugin";
 import fastifyCookie from "@fastify/cookie";
+import { ForbiddenError } from "@internal/shared";
+
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+const SESSION_ID_PATTERN = /^[\w-]{32}$/;
+
+const newSessionId = () => randomBytes(24).toString("base64url");
+
+const NO_CACHE_HEADERS = {
+  "Cache-Control": "no-store, no-cache, must-revalidate, proxy-revalidate",
+  Pragma: "no-cache",
+  Expires: "0",
+  "Surrogate-Control": "no-store",
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "X-XSS-Protection": "1; mode=block",
+  "Referrer-Policy": "no-referrer",
+  "Content-Security-Policy":
+    "default-src 'self'; script-src 'self' 'unsafe-inline' 'unsafe-eval'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; frame-ancestors 'none';",
+  "Permissions-Policy": "geolocation=(self), microphone=()",
+  "Feature-Policy": "geolocation 'self'; microphone 'self'",
+};
+
+/**
+ * In-memory session store, per process; expired entries are dropped on read
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const entry = this.sessions.get(id);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return entry ? structuredClone(entry.data) : null;
+  }
+
+  async set(id, data, ttlMs) {
+    this.sessions.set(id, {
+      data: structuredClone(data),
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  async destroy(id) {
+    this.sessions.delete(id);
+  }
+}
+
+/**
+ * Session store keeping one JSON file per session
+ */
+export class FileSessionStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  fileFor(id) {
+    if (!SESSION_ID_PATTERN.test(id)) {
+      throw new Error("Invalid session id");
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.fileFor(id), "utf8"));
+      if (entry.expiresAt <= Date.now()) {
+        await this.destroy(id);
+        return null;
+      }
+      return entry.data;
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async set(id, data, ttlMs) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write then rename, so a crash never leaves a truncated file
+    const file = this.fileFor(id);
+    const entry = { data, expiresAt: Date.now() + ttlMs };
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(entry));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  async destroy(id) {
+    await fs.rm(this.fileFor(id), { force: true });
+  }
+}
+
+/**
+ * Session store on a Redis-compatible client (ioredis API: get, set with
+ * "PX", del); expiry is left to the server
+ */
+export class RedisSessionStore {
+  constructor(client, prefix = "session:") {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(id) {
+    const value = await this.client.get(this.prefix + id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(id, data, ttlMs) {
+    await this.client.set(this.prefix + id, JSON.stringify(data), "PX", ttlMs);
+  }
+
+  async destroy(id) {
+    await this.client.del(this.prefix + id);
+  }
+}
+
+/**
+ * Session data of one request; persisted by the plugin's onSend hook
+ */
+export class Session {
+  constructor(manager, id, data = {}, isNew = true) {
+    this.manager = manager;
+    this.id = id;
+    this.data = data;
+    this.isNew = isNew;
+    this.modified = false;
+    this.destroyed = false;
+  }
+
+  get(key) {
+    return this.data[key];
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this.modified = true;
+    return this;
+  }
+
+  delete(key) {
+    delete this.data[key];
+    this.modified = true;
+    return this;
+  }
+
+  // New id on login, so an id planted before authentication is useless
+  async regenerate({ keepData = false } = {}) {
+    await this.manager.store.destroy(this.id);
+    this.id = newSessionId();
+    this.data = keepData ? this.data : {};
+    this.isNew = true;
+    this.modified = true;
+    return this;
+  }
+
+  async destroy() {
+    await this.manager.store.destroy(this.id);
+    this.data = {};
+    this.destroyed = true;
+  }
+
+  // Synchronizer token for forms and SPA requests (x-csrf-token header)
+  csrfToken() {
+    if (!this.data._csrf) {
+      this.set("_csrf", randomBytes(24).toString("base64url"));
+    }
+    return this.data._csrf;
+  }
+
+  verifyCsrfToken(token) {
+    const expected = Buffer.from(this.data._csrf || "");
+    const provided = Buffer.from(typeof token === "string" ? token : "");
+    return (
+      expected.length > 0 &&
+      expected.length === provided.length &&
+      timingSafeEqual(expected, provided)
+    );
+  }
+}
+
+const createStore = (options, tenantId) => {
+  const { store = "memory" } = options;
+
+  if (typeof store === "object") {
+    // Custom store implementing get(), set() and destroy()
+    return store;
+  }
+  if (store === "memory") {
+    return new MemorySessionStore();
+  }
+  if (store === "file") {
+    return new FileSessionStore(
+      path.resolve(options.directory || ".sessions", tenantId)
+    );
+  }
+  if (store === "redis") {
+    if (!options.redis) {
+      throw new Error("Session store 'redis' requires a redis client");
+    }
+    return new RedisSessionStore(options.redis, `session:${tenantId}:`);
+  }
+  throw new Error(`Unknown session store '${store}'`);
+};
+
+/**
+ * Tenant sessions using Unit of Work pattern: loaded on request, written once
+ * on send when modified (or on every response with rolling expiry)
+ */
+export class SessionManager {
+  constructor(tenant, options = {}) {
+    const settings = { ...options, ...tenant.config.session };
+
+    this.tenant = tenant;
+    this.store = createStore(settings, tenant.id);
+    this.ttlMs = (settings.ttlSeconds ?? 86400) * 1000;
+    this.rolling = settings.rolling !== false;
+    this.csrf = settings.csrf !== false;
+    this.userKey = settings.userKey || "user";
+    this.cookieName = `${settings.cookieName || "sid"}.${tenant.id}`;
+    this.cookieOptions = {
+      domain: settings.domain,
+      sameSite: settings.sameSite || "lax",
+      secure: settings.secure ?? "auto",
+      httpOnly: true,
+      signed: true,
+    };
+  }
+
+  // Path-identified tenants share the host, so their cookie is confined to
+  // the tenant prefix; custom domains and subdomains get a host-only cookie
+  cookiePath(request) {
+    return request.tenantSource === "path" ? `/${this.tenant.id}` : "/";
+  }
+
+  async load(request) {
+    const cookie = request.cookies[this.cookieName];
+    const { valid, value } = cookie
+      ? request.unsignCookie(cookie)
+      : { valid: false };
+
+    const data =
+      valid && SESSION_ID_PATTERN.test(value)
+        ? await this.store.get(value)
+        : null;
+    return data
+      ? new Session(this, value, data, false)
+      : new Session(this, newSessionId());
+  }
+
+  async save(request, reply) {
+    const { session } = request;
+    const options = { ...this.cookieOptions, path: this.cookiePath(request) };
+
+    if (session.destroyed) {
+      reply.clearCookie(this.cookieName, options);
+      return;
+    }
+
+    // Untouched new sessions are never stored: no cookie for anonymous hits
+    if (!session.modified && (session.isNew || !this.rolling)) {
+      return;
+    }
+
+    await this.store.set(session.id, session.data, this.ttlMs);
+    reply.setCookie(this.cookieName, session.id, {
+      ...options,
+      maxAge: this.ttlMs / 1000,
+    });
+  }
+}
 
 export const cookiePlugin = async (fastify, options) => {
-  fastify.register(fastifyCookie, {
-    secret: options.secret,
+  const { tenant, secret, session: sessionDefaults = {} } = options;
+  const sessionConfig = tenant?.config.session;
+
+  await fastify.register(fastifyCookie, {
+    secret: sessionConfig?.secret || secret,
     parseOptions: options.cookieParseOptions,
   });
 
-  fastify.decorate("addNoCacheHeaders", () => {
-    this.headers({
-      "Cache-Control": "no-store, no-cache, must-revalidate, proxy-revalidate",
-      Pragma: "no-cache",
-      Expires: "0",
-      "Surrogate-Control": "no-store",
-      "X-Content-Type-Options": "nosniff",
-      "X-Frame-Options": "DENY",
-      "X-XSS-Protection": "1; mode=block",
-      "Referrer-Policy": "no-referrer",
-      "Content-Security-Policy":
-        "default-src 'self'; script-src 'self' 'unsafe-inline' 'unsafe-eval'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; frame-ancestors 'none';",
-      "Permissions-Policy": "geolocation=(self), microphone=()",
-      "Feature-Policy": "geolocation 'self'; microphone 'self'",
-    });
-    return this;
+  fastify.decorateReply("addNoCacheHeaders", function () {
+    return this.headers(NO_CACHE_HEADERS);
   });
 
-  fastify.decorate("attachedAllowOrgin", (value) => {
-    reply.raw.setHeader("Access-Control-Allow-Origin", value ? value : "*");
-    reply.raw.setHeader("Access-Control-Allow-Credentials", "true");
-    reply.raw.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  // [[name, value], ...] or { name: value }
+  fastify.decorateReply("attachedXHeaders", function (xHeaders) {
+    return this.headers(
+      Array.isArray(xHeaders) ? Object.fromEntries(xHeaders) : xHeaders
+    );
+  });
+
+  // Sessions are opt-in per tenant with a `session` config
+  if (!tenant || !sessionConfig) {
+    return;
+  }
+
+  if (!sessionConfig.secret && !secret) {
+    throw new Error(`Tenant ${tenant.id}: sessions need a cookie secret`);
+  }
+
+  const manager = new SessionManager(tenant, sessionDefaults);
+  fastify.decorate("sessionManager", manager);
+  fastify.decorateRequest("session", null);
+
+  fastify.addHook("onRequest", async (request) => {
+    request.session = await manager.load(request);
+
+    // Session logins authenticate like a verified bearer token would
+    const user = request.session.get(manager.userKey);
+    if (user && !request.headers.authorization) {
+      request.user = user;
+    }
   });
 
-  fastify.decorate("attachedXHeaders", (xHeaders) => {
-    if (Array.isArray(xHeaders)) {
-      xHeaders.forEach(([key, value]) => {
-        reply.raw.setHeader(key, value);
+  // CSRF applies to requests authenticated by the session cookie only
+  fastify.addHook("preHandler", async (request) => {
+    if (
+      !manager.csrf ||
+      !MUTATING_METHODS.has(request.method) ||
+      request.session.isNew ||
+      request.headers.authorization ||
+      request.routeOptions.config?.csrf === false
+    ) {
+      return;
+    }
+
+    const token = request.headers["x-csrf-token"] ?? request.body?._csrf;
+    if (!request.session.verifyCsrfToken(token)) {
+      throw new ForbiddenError("Missing or invalid CSRF token", {
+        code: "CSRF_TOKEN_INVALID",
       });
     }
   });
+
+  fastify.addHook("onSend", async (request, reply, payload) => {
+    if (request.session) {
+      await manager.save(request, reply);
+    }
+    return payload;
+  });
 };
 
-export default cookiePlugin;
+// Not encapsulated: request.session and the reply helpers are used by the
+// routes of the app (platform or tenant instance) it is registered on
+export default fastifyPlugin(cookiePlugin, { name: "tenant-cookie" });
@@ -0,0 +1,61 @@
+import fastifyPlugin from "fastify-plugin";
+import fastifyCors from "@fastify/cors";
+
+// "https://*.example.com" matches any subdomain; "*" matches every origin
+const toOriginMatcher = (origin) => {
+  if (origin === "*" || !origin.includes("*")) {
+    return origin;
+  }
+
+  const pattern = origin
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[a-z0-9-]+(?:\\.[a-z0-9-]+)*");
+  return new RegExp(`^${pattern}$`, "i");
+};
+
+export const resolveCorsPolicy = (defaults, tenantPolicy = {}) => {
+  const policy = { ...defaults, ...tenantPolicy };
+  const origins = policy.origins || [];
+
+  if (policy.credentials && origins.includes("*")) {
+    throw new Error(
+      "CORS credentials cannot be allowed for every origin ('*')"
+    );
+  }
+
+  let origin = origins.map(toOriginMatcher);
+  if (origins.includes("*")) {
+    origin = "*";
+  } else if (origins.length === 0) {
+    // No CORS headers, and preflight requests are answered with a 404
+    origin = false;
+  }
+
+  return {
+    origin,
+    methods: policy.methods ?? "GET,HEAD,POST",
+    // null reflects the Access-Control-Request-Headers of the preflight
+    allowedHeaders: policy.allowedHeaders ?? null,
+    exposedHeaders: policy.exposedHeaders?.length
+      ? policy.exposedHeaders
+      : null,
+    credentials: policy.credentials === true,
+    maxAge: policy.maxAge ?? null,
+  };
+};
+
+export const corsPlugin = async (fastify, options) => {
+  const { tenant, ...defaults } = options;
+
+  // Registered on the tenant instance, whose catch-all OPTIONS route matches
+  // preflights under the /<tenantId> prefix and rewritten custom-domain URLs
+  await fastify.register(
+    fastifyCors,
+    resolveCorsPolicy(defaults, tenant?.config.cors)
+  );
+};
+
+// Not encapsulated: the policy applies to every route of the app (platform or
+// tenant instance) the plugin is registered on
+export default fastifyPlugin(corsPlugin, { name: "tenant-cors" });
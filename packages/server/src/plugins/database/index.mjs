@@ -1,34 +1,641 @@
-import { Sequelize, DataTypes } from "sequelize";
+import { AsyncLocalStorage } from "async_hooks";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import fastifyPlugin from "fastify-plugin";
+import { DataTypes, Op, Sequelize } from "sequelize";
+import { AppError } from "@internal/shared";
 
-export const databasePlugin = async (app, options) => {
-  const { fastify } = options;
+// SSL: true, or { rejectUnauthorized, ca, cert, key } for postgres/mysql
+const dialectOptions = ({ dialect, ssl }) => {
+  if (!ssl || dialect === "sqlite") {
+    return {};
+  }
+  return { ssl: ssl === true ? { rejectUnauthorized: true } : ssl };
+};
+
+// Postgres identifier, quoted the same way in SQL and in the search_path
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// libpq splits `options` on spaces unless they are escaped
+const searchPath = (schema) =>
+  quoteIdentifier(schema).replace(/[\\\s]/g, "\\$&");
+
+// Schema-per-tenant: Postgres resolves unqualified names in the tenant
+// schema and creates it on first connect; other dialects only prefix models
+const schemaOptions = ({ dialect, schema }) => {
+  if (!schema) {
+    return {};
+  }
+  if (dialect !== "postgres") {
+    return { define: { schema } };
+  }
+  return {
+    define: { schema },
+    hooks: {
+      afterConnect: (connection) =>
+        connection.query(
+          `CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(schema)}`
+        ),
+    },
+  };
+};
+
+/**
+ * Sequelize instance from a URL or discrete fields. SQLite uses `storage`
+ * (":memory:" by default) and needs no server.
+ */
+export const createSequelize = (config, logger) => {
+  const { define, hooks } = schemaOptions(config);
+  const options = {
+    dialect: config.dialect,
+    pool: config.pool,
+    define,
+    hooks,
+    dialectOptions: {
+      ...dialectOptions(config),
+      ...(config.schema &&
+        config.dialect === "postgres" && {
+          options: `-c search_path=${searchPath(config.schema)}`,
+        }),
+    },
+    logging: config.logging
+      ? (sql, timing) => logger.debug({ sql, timing }, "SQL")
+      : false,
+    benchmark: config.logging === true,
+  };
+
+  if (config.url) {
+    return new Sequelize(config.url, options);
+  }
+
+  if (config.dialect === "sqlite") {
+    return new Sequelize({ ...options, storage: config.storage || ":memory:" });
+  }
 
-  const sequelize = new Sequelize("mydatabase", "myuser", "mypassword", {
-    host: "localhost",
-    dialect: "postgres",
+  return new Sequelize(config.database, config.username, config.password, {
+    ...options,
+    host: config.host,
+    port: config.port,
   });
+};
+
+/**
+ * Database connection with retries using State pattern:
+ * connecting -> connected | unavailable, closed once the app closes
+ */
+export class DatabaseConnection {
+  constructor(sequelize, logger, options = {}) {
+    this.sequelize = sequelize;
+    this.logger = logger;
+    this.retry = {
+      attempts: 5,
+      initialDelayMs: 500,
+      maxDelayMs: 10000,
+      ...options.retry,
+    };
+    this.dialect = sequelize.getDialect();
+    this.status = "connecting";
+    this.lastError = null;
+    this.connectedAt = null;
+    this.abort = new AbortController();
+  }
+
+  // Exponential backoff with equal jitter (half fixed, half random)
+  delayFor(attempt) {
+    const { initialDelayMs, maxDelayMs } = this.retry;
+    const ceiling = Math.min(maxDelayMs, initialDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+  }
+
+  // Gives up after retry.attempts failures, leaving the status
+  // "unavailable"; with keepRetrying it goes on at the capped delay until
+  // connected or closed
+  async connect({ keepRetrying = false } = {}) {
+    const { attempts } = this.retry;
+
+    for (let attempt = 1; keepRetrying || attempt <= attempts; attempt++) {
+      try {
+        await this.sequelize.authenticate();
+        this.status = "connected";
+        this.lastError = null;
+        this.connectedAt = new Date();
+        this.logger.info(
+          { dialect: this.dialect, attempt },
+          "Database connected"
+        );
+        return true;
+      } catch (err) {
+        this.lastError = err;
+        if (this.abort.signal.aborted) {
+          return false;
+        }
+
+        const final = attempt === attempts;
+        if (attempt > attempts) {
+          this.logger.debug({ err, attempt }, "Database still unavailable");
+        } else {
+          this.logger[final ? "error" : "warn"](
+            { err, attempt, attempts },
+            final
+              ? "Database unavailable"
+              : "Database connection failed, retrying"
+          );
+        }
+
+        if (attempt >= attempts) {
+          this.status = "unavailable";
+          if (!keepRetrying) {
+            return false;
+          }
+        }
+
+        try {
+          // Background retries do not keep the process alive by themselves
+          await sleep(this.delayFor(attempt), null, {
+            signal: this.abort.signal,
+            ref: !keepRetrying,
+          });
+        } catch {
+          return false; // Closed while waiting
+        }
+      }
+    }
+
+    this.status = "unavailable";
+    return false;
+  }
 
-  try {
-    await sequelize.authenticate();
-    console.log("Connection has been established successfully.");
-  } catch (error) {
-    console.error("Unable to connect to the database:", error);
+  // Live check for /health/db; the status is updated with the result
+  async check(timeoutMs = 2000) {
+    if (this.status === "closed") {
+      return this.describe();
+    }
+
+    const started = Date.now();
+    try {
+      await Promise.race([
+        this.sequelize.authenticate(),
+        sleep(timeoutMs, null, { ref: false }).then(() => {
+          throw new Error(`No answer within ${timeoutMs}ms`);
+        }),
+      ]);
+      this.status = "connected";
+      this.lastError = null;
+      return { ...this.describe(), latencyMs: Date.now() - started };
+    } catch (err) {
+      this.status = "unavailable";
+      this.lastError = err;
+      return this.describe();
+    }
+  }
+
+  describe() {
+    return {
+      status: this.status,
+      dialect: this.dialect,
+      connectedAt: this.connectedAt,
+      ...(this.lastError && { error: this.lastError.message }),
+    };
   }
 
-  fastify.addHook("onClose", async (instance) => {
-    await sequelize.close();
+  async close() {
+    this.abort.abort();
+    this.status = "closed";
+    await this.sequelize.close();
+  }
+}
+
+const ISOLATION_MODES = ["shared", "row", "schema", "database"];
+
+// Settings that need a new connection when a reload changes them
+const CONNECTION_SETTINGS = [
+  "dialect",
+  "url",
+  "host",
+  "port",
+  "database",
+  "username",
+  "password",
+  "storage",
+  "schema",
+  "ssl",
+  "pool",
+  "logging",
+];
+
+/**
+ * Query without a tenant context, or on a row of another tenant
+ */
+export class TenantScopeError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 500,
+      code: "TENANT_CONTEXT_REQUIRED",
+      ...options,
+    });
+  }
+}
+
+const scopeViolation = (message) =>
+  new TenantScopeError(message, {
+    status: 403,
+    code: "TENANT_SCOPE_VIOLATION",
   });
 
+/**
+ * Row-level tenant isolation using Interceptor pattern: hooks of
+ * tenant-scoped models add the current tenant, kept in AsyncLocalStorage for
+ * the duration of a request, to every create, find, update and delete.
+ * Queries without a tenant are rejected unless marked cross-tenant with the
+ * `crossTenant: true` query option or crossTenant(fn). Raw queries and
+ * aggregates other than count() are not scoped.
+ */
+export class TenantRowScope {
+  constructor(options = {}) {
+    this.attribute = options.attribute || "tenantId";
+    this.field = options.field || "tenant_id";
+    // Models opt in with `tenantScoped: true`, or opt out with false when
+    // every model is scoped by default
+    this.scopeByDefault = options.scopeByDefault === true;
+    this.storage = new AsyncLocalStorage();
+    this.defaults = new AsyncLocalStorage(); // Default while defining
+  }
+
+  // Models defined within fn default to `scoped`, e.g. the models of a
+  // tenant choosing "row" isolation on a server in another mode
+  defining(scoped, fn) {
+    return this.defaults.run(scoped, fn);
+  }
+
+  run(tenantId, fn) {
+    return this.storage.run({ tenantId, crossTenant: false }, fn);
+  }
+
+  crossTenant(fn) {
+    return this.storage.run({ tenantId: null, crossTenant: true }, fn);
+  }
+
+  currentTenantId() {
+    return this.storage.getStore()?.tenantId ?? null;
+  }
+
+  isScoped(model) {
+    return model.options.tenantScoped ?? this.scopeByDefault;
+  }
+
+  // Tenant of the query, or null for cross-tenant queries
+  tenantFor(options = {}) {
+    const store = this.storage.getStore();
+    if (options.crossTenant || store?.crossTenant) {
+      return null;
+    }
+    if (!store?.tenantId) {
+      throw new TenantScopeError(
+        "Query on a tenant-scoped model without a tenant context"
+      );
+    }
+    return store.tenantId;
+  }
+
+  // By column: bulk destroys map attribute names before their hooks run
+  withTenant(where, tenantId) {
+    const condition = { [this.field]: tenantId };
+    return where ? { [Op.and]: [where, condition] } : condition;
+  }
+
+  assign(instance, options) {
+    const tenantId = this.tenantFor(options);
+    if (tenantId === null) {
+      return; // Cross-tenant writes set the tenant explicitly
+    }
+
+    const current = instance.get(this.attribute);
+    if (current != null && current !== tenantId) {
+      throw scopeViolation("Record belongs to another tenant");
+    }
+    instance.set(this.attribute, tenantId);
+  }
+
+  assertOwned(instance, options) {
+    const tenantId = this.tenantFor(options);
+    if (
+      tenantId !== null &&
+      (instance.get(this.attribute) !== tenantId ||
+        instance.changed(this.attribute))
+    ) {
+      throw scopeViolation("Record belongs to another tenant");
+    }
+  }
+
+  // Included scoped models are filtered too; a condition added to an include
+  // would make it an inner join, so it stays optional unless it was required
+  scopeIncludes(includes = [], tenantFor) {
+    for (const include of includes) {
+      if (include.model && this.isScoped(include.model)) {
+        const tenantId = tenantFor();
+        if (tenantId !== null) {
+          if (include.required === undefined && !include.where) {
+            include.required = false;
+          }
+          include.where = this.withTenant(include.where, tenantId);
+        }
+      }
+      this.scopeIncludes(include.include, tenantFor);
+    }
+  }
+
+  scopeModel(model) {
+    const scopeWhere = (options) => {
+      const tenantId = this.tenantFor(options);
+      if (tenantId !== null) {
+        options.where = this.withTenant(options.where, tenantId);
+      }
+    };
+
+    model.addHook("beforeFind", scopeWhere);
+    model.addHook("beforeCount", scopeWhere);
+    model.addHook("beforeBulkUpdate", (options) => {
+      scopeWhere(options);
+      // Moving rows to another tenant is a cross-tenant operation
+      if (
+        options.attributes?.[this.attribute] !== undefined &&
+        this.tenantFor(options) !== null
+      ) {
+        throw scopeViolation("The tenant of a record is read-only");
+      }
+    });
+    model.addHook("beforeBulkDestroy", scopeWhere);
+
+    // Validation runs before beforeCreate, and tenantId is not nullable
+    model.addHook("beforeValidate", (instance, options) => {
+      if (instance.isNewRecord) {
+        this.assign(instance, options);
+      }
+    });
+    model.addHook("beforeCreate", (instance, options) =>
+      this.assign(instance, options)
+    );
+    model.addHook("beforeBulkCreate", (instances, options) =>
+      instances.forEach((instance) => this.assign(instance, options))
+    );
+    model.addHook("beforeUpsert", (values, options) => {
+      const tenantId = this.tenantFor(options);
+      if (tenantId !== null) {
+        values[this.attribute] = tenantId;
+      }
+    });
+    model.addHook("beforeUpdate", (instance, options) =>
+      this.assertOwned(instance, options)
+    );
+    model.addHook("beforeDestroy", (instance, options) =>
+      this.assertOwned(instance, options)
+    );
+  }
+
+  // Tenants share the table, so `unique` columns are unique per tenant: the
+  // attribute's constraint becomes a (tenant, column) index, one per column
+  // or per name for `unique: "name"`
+  uniquePerTenant(attributes) {
+    const indexes = new Map();
+    for (const [name, attribute] of Object.entries(attributes)) {
+      const { unique } = attribute ?? {};
+      if (!unique || attribute.primaryKey) {
+        continue;
+      }
+
+      const indexName = typeof unique === "string" ? unique : unique.name;
+      const key = indexName || `column:${name}`;
+      if (!indexes.has(key)) {
+        indexes.set(key, {
+          unique: true,
+          fields: [this.field],
+          ...(indexName && { name: indexName }),
+        });
+      }
+      indexes.get(key).fields.push(attribute.field || name);
+      attributes[name] = { ...attribute, unique: false };
+    }
+    return [...indexes.values()];
+  }
+
+  // Hooks the models defined on a connection from now on
+  install(sequelize) {
+    sequelize.addHook("beforeDefine", (attributes, options) => {
+      // Recorded on the model, where isScoped() reads it
+      options.tenantScoped ??= this.defaults.getStore() ?? this.scopeByDefault;
+      if (options.tenantScoped) {
+        attributes[this.attribute] = {
+          type: DataTypes.STRING(64),
+          allowNull: false,
+          field: this.field,
+        };
+        options.indexes = [
+          ...(options.indexes || []),
+          { fields: [this.field] },
+          ...this.uniquePerTenant(attributes),
+        ];
+      }
+    });
+
+    sequelize.addHook("afterDefine", (model) => {
+      if (this.isScoped(model)) {
+        this.scopeModel(model);
+      }
+      // Any model may include scoped ones
+      model.addHook("beforeFindAfterExpandIncludeAll", (options) =>
+        this.scopeIncludes(options.include, () => this.tenantFor(options))
+      );
+    });
+  }
+}
+
+/**
+ * Tenant connections using Strategy pattern: the shared database, one schema
+ * per tenant or one database per tenant. Isolated tenants get their own
+ * Sequelize instance and pool, created on first use; Sequelize itself opens
+ * pool connections only when queried. A connection is closed once no
+ * instance of its tenant uses it.
+ */
+export class TenantDatabaseManager {
+  constructor(shared, config, logger) {
+    this.shared = shared;
+    this.config = config;
+    this.logger = logger;
+    this.isolation = config.isolation || "shared";
+    // Tenant id -> { tenantId, sequelize, key, users } for current settings
+    this.connections = new Map();
+    this.open = new Set(); // Including connections replaced on reload
+
+    if (!ISOLATION_MODES.includes(this.isolation)) {
+      throw new Error(`Unknown database isolation '${this.isolation}'`);
+    }
+  }
+
+  isolationFor(tenant) {
+    const isolation = tenant.config.database?.isolation || this.isolation;
+    if (!ISOLATION_MODES.includes(isolation)) {
+      throw new Error(
+        `Tenant ${tenant.id}: unknown database isolation '${isolation}'`
+      );
+    }
+    return isolation;
+  }
+
+  // "{tenantId}" in name templates; "-" is not valid in unquoted identifiers
+  expand(template, tenantId) {
+    return template.replaceAll("{tenantId}", tenantId.replace(/-/g, "_"));
+  }
+
+  settingsFor(tenant, isolation) {
+    const tenantDb = tenant.config.database || {};
+    const settings = {
+      ...this.config,
+      pool: {
+        ...this.config.pool,
+        ...this.config.tenantPool,
+        ...tenantDb.pool,
+      },
+    };
+
+    if (isolation === "schema") {
+      return {
+        ...settings,
+        schema:
+          tenantDb.schema || this.expand(this.config.tenantSchema, tenant.id),
+      };
+    }
+
+    if (tenantDb.url) {
+      return { ...settings, url: tenantDb.url };
+    }
+
+    // A database on the same server, or a SQLite file per tenant
+    return {
+      ...settings,
+      url: undefined,
+      database:
+        tenantDb.database || this.expand(this.config.tenantDatabase, tenant.id),
+      storage: this.config.tenantStorage
+        ? path.resolve(this.expand(this.config.tenantStorage, tenant.id))
+        : ":memory:",
+    };
+  }
+
+  forTenant(tenant) {
+    const isolation = this.isolationFor(tenant);
+    if (isolation === "shared" || isolation === "row") {
+      return this.shared;
+    }
+
+    // Reloads keep the connection unless the database settings changed;
+    // the previous instance keeps its own until it is closed
+    const settings = this.settingsFor(tenant, isolation);
+    const key = JSON.stringify(
+      CONNECTION_SETTINGS.map((name) => settings[name])
+    );
+    let entry = this.connections.get(tenant.id);
+    if (entry?.key !== key) {
+      entry = {
+        tenantId: tenant.id,
+        sequelize: createSequelize(
+          settings,
+          this.logger.child({ tenant: tenant.id })
+        ),
+        key,
+        users: 0,
+      };
+      this.connections.set(tenant.id, entry);
+      this.open.add(entry);
+      this.logger.debug(
+        { tenant: tenant.id, isolation },
+        "Created tenant database connection"
+      );
+    }
+
+    entry.users++;
+    return entry.sequelize;
+  }
+
+  // Called once per forTenant() when the instance using the connection
+  // closes, whether it was unloaded, replaced or failed to load
+  async release(tenantId, sequelize) {
+    const entry = [...this.open].find(
+      (open) => open.tenantId === tenantId && open.sequelize === sequelize
+    );
+    if (!entry || --entry.users > 0) {
+      return false;
+    }
+
+    await this.close(entry);
+    return true;
+  }
+
+  async close(entry) {
+    this.open.delete(entry);
+    if (this.connections.get(entry.tenantId) === entry) {
+      this.connections.delete(entry.tenantId);
+    }
+
+    try {
+      await entry.sequelize.close();
+    } catch (err) {
+      this.logger.error(
+        { err, tenant: entry.tenantId },
+        "Failed to close tenant database"
+      );
+    }
+  }
+
+  async closeAll() {
+    await Promise.all([...this.open].map((entry) => this.close(entry)));
+  }
+}
+
+export const databasePlugin = async (fastify, options) => {
+  const { onUnavailable = "degrade", ...config } = options;
+
+  const sequelize = createSequelize(config, fastify.log);
+  const connection = new DatabaseConnection(sequelize, fastify.log, config);
+
+  // Tenants share the tables of the shared connection in "row" mode; models
+  // opt in elsewhere with `tenantScoped: true`
+  const tenantScope = new TenantRowScope({
+    ...config.rowScope,
+    scopeByDefault: config.isolation === "row",
+  });
+  tenantScope.install(sequelize);
+
+  const tenantDatabases = new TenantDatabaseManager(
+    sequelize,
+    config,
+    fastify.log
+  );
+
   fastify.decorate("db", sequelize);
+  fastify.decorate("database", connection);
+  fastify.decorate("tenantDatabases", tenantDatabases);
+  fastify.decorate("tenantScope", tenantScope);
+  fastify.addHook("onClose", async () => {
+    await tenantDatabases.closeAll();
+    await connection.close();
+  });
 
-  // await sequelize.sync({ force: true });
-  // await sequelize.query(`DROP SCHEMA public CASCADE; CREATE SCHEMA public;`);
+  if (onUnavailable === "fail") {
+    // Startup waits for the database and fails once the retries are spent
+    if (!(await connection.connect())) {
+      throw new Error(
+        `Database unavailable after ${connection.retry.attempts} attempts: ${connection.lastError?.message}`
+      );
+    }
+    return;
+  }
 
-  // fastify.ready(async () => {
-  //   await sequelize.sync({ force: true });
-  //   // await sequelize.sync({ alter: true });
-  //   console.log("hello");
-  // });
+  // Degraded startup: serve without the database while it keeps retrying
+  // in the background, so a database that comes back is picked up
+  connection.connect({ keepRetrying: true }).catch((err) => {
+    fastify.log.error({ err }, "Database connection failed");
+  });
 };
 
-export default databasePlugin;
+// Not encapsulated: app.db is shared with the platform and tenant instances
+export default fastifyPlugin(databasePlugin, { name: "database" });
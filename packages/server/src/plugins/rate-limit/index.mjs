@@ -0,0 +1,87 @@
+import fastifyPlugin from "fastify-plugin";
+import fastifyRateLimit from "@fastify/rate-limit";
+
+// "POST /users" matches one method, "/users" every method
+const findRouteLimit = (routes, method, url) =>
+  routes[`${method} ${url}`] ?? routes[url];
+
+const storeOptions = ({ store = "memory", redis, nameSpace }) => {
+  if (typeof store === "function") {
+    // Custom store class implementing incr() and child()
+    return { store };
+  }
+
+  if (store === "redis") {
+    if (!redis) {
+      throw new Error("Rate limit store 'redis' requires a redis client");
+    }
+    return { redis, nameSpace };
+  }
+
+  if (store !== "memory") {
+    throw new Error(`Unknown rate limit store '${store}'`);
+  }
+
+  return {};
+};
+
+export const rateLimitPlugin = async (fastify, options) => {
+  const {
+    tenant,
+    max = 100,
+    timeWindow = "1 minute",
+    perClient = false,
+    standardHeaders = true,
+    nameSpace = "tenant-rate-limit:",
+  } = options;
+
+  const limits = tenant?.config.limits || {};
+  const keyByClient = limits.perClient ?? perClient;
+
+  // Per-route overrides from tenant config, in requests per minute:
+  // limits.routes = { "POST /users": 10 }. Routes declaring their own
+  // config.rateLimit keep it.
+  if (tenant && limits.routes) {
+    const prefix = `/${tenant.id}`;
+
+    fastify.addHook("onRoute", (routeOptions) => {
+      if (routeOptions.config?.rateLimit !== undefined) {
+        return;
+      }
+
+      const url = routeOptions.url.startsWith(prefix)
+        ? routeOptions.url.slice(prefix.length) || "/"
+        : routeOptions.url;
+      const methods = [].concat(routeOptions.method);
+      const routeMax = methods
+        .map((method) => findRouteLimit(limits.routes, method, url))
+        .find((value) => value !== undefined);
+
+      if (routeMax !== undefined) {
+        routeOptions.config = {
+          ...routeOptions.config,
+          rateLimit: { max: routeMax, timeWindow: "1 minute" },
+        };
+      }
+    });
+  }
+
+  await fastify.register(fastifyRateLimit, {
+    ...storeOptions({ ...options, nameSpace }),
+    ...(tenant && limits.requestsPerMinute !== undefined
+      ? { max: limits.requestsPerMinute, timeWindow: "1 minute" }
+      : { max, timeWindow }),
+    enableDraftSpec: standardHeaders,
+    // Tenants have their own budget; the platform app limits per client
+    keyGenerator: (request) => {
+      if (!tenant) {
+        return `platform:${request.ip}`;
+      }
+      return keyByClient ? `${tenant.id}:${request.ip}` : tenant.id;
+    },
+  });
+};
+
+// Not encapsulated: the limits apply to every route of the app (platform or
+// tenant instance) the plugin is registered on
+export default fastifyPlugin(rateLimitPlugin, { name: "tenant-rate-limit" });
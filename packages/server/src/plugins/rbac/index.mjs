@@ -0,0 +1,120 @@
+import fastifyPlugin from "fastify-plugin";
+import { ForbiddenError, UnauthorizedError } from "@internal/shared";
+
+/**
+ * Role to permission map using Policy pattern
+ * "*" grants every permission, "users:*" every permission on users
+ */
+export class RolePolicy {
+  constructor({ roles = {}, roleClaim = "role", anonymousRole = null } = {}) {
+    this.roles = new Map(
+      Object.entries(roles).map(([role, permissions]) => [
+        role,
+        new Set(permissions),
+      ])
+    );
+    this.roleClaim = roleClaim;
+    this.anonymousRole = anonymousRole;
+  }
+
+  // The claim may hold one role or a list of roles
+  rolesOf(user) {
+    if (!user) {
+      return this.anonymousRole ? [this.anonymousRole] : [];
+    }
+    return [].concat(user[this.roleClaim] ?? []);
+  }
+
+  grants(roles, permission) {
+    const [resource] = permission.split(":");
+    return roles.some((role) => {
+      const granted = this.roles.get(role);
+      return (
+        granted &&
+        (granted.has("*") ||
+          granted.has(permission) ||
+          granted.has(`${resource}:*`))
+      );
+    });
+  }
+
+  // Every listed permission is required; of the listed roles, one suffices
+  check(user, { permissions = [], roles = [] }) {
+    const userRoles = this.rolesOf(user);
+    const missing = permissions.filter(
+      (permission) => !this.grants(userRoles, permission)
+    );
+    const roleMatched =
+      roles.length === 0 || roles.some((role) => userRoles.includes(role));
+
+    return { allowed: missing.length === 0 && roleMatched, missing };
+  }
+}
+
+export const rbacPlugin = async (fastify, options) => {
+  const { tenant } = options;
+  const policy = new RolePolicy({
+    ...options,
+    ...tenant?.config.rbac,
+  });
+  const prefix = tenant ? `/${tenant.id}` : "";
+
+  // Route requirements for auditing: [{ method, url, permissions, roles }]
+  fastify.decorate("routePermissions", []);
+  fastify.decorate("rolePolicy", policy);
+
+  // Shared preHandler; added to every route declaring permissions or roles
+  fastify.decorate("authorize", async (request, reply) => {
+    const { permissions = [], roles = [] } = request.routeOptions.config;
+    const { allowed, missing } = policy.check(request.user, {
+      permissions,
+      roles,
+    });
+
+    if (allowed) {
+      return;
+    }
+
+    if (!request.user) {
+      reply.header("WWW-Authenticate", "Bearer");
+      throw new UnauthorizedError();
+    }
+
+    request.log.info(
+      { rbac: { user: request.user.sub, permissions, roles, missing } },
+      "Access denied"
+    );
+    throw new ForbiddenError("Insufficient permissions", {
+      code: "PERMISSION_DENIED",
+      required: { permissions, roles },
+    });
+  });
+
+  fastify.addHook("onRoute", (routeOptions) => {
+    const { permissions, roles } = routeOptions.config || {};
+    if (!permissions?.length && !roles?.length) {
+      return;
+    }
+
+    const url = routeOptions.url.startsWith(prefix)
+      ? routeOptions.url.slice(prefix.length) || "/"
+      : routeOptions.url;
+    for (const method of [].concat(routeOptions.method)) {
+      fastify.routePermissions.push({
+        method,
+        url,
+        permissions: permissions || [],
+        roles: roles || [],
+      });
+    }
+
+    routeOptions.preHandler = [
+      fastify.authorize,
+      ...[].concat(routeOptions.preHandler ?? []),
+    ];
+  });
+};
+
+// Not encapsulated: the onRoute hook must see the routes of the app (platform
+// or tenant instance) the plugin is registered on
+export default fastifyPlugin(rbacPlugin, { name: "tenant-rbac" });
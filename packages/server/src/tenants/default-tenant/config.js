@@ -5,7 +5,8 @@ export default {
   name: "sample-tenant",
   active: true,
   database: {
-    // Simple in-memory storage for demo
+    // User storage: "memory" (demo), "sequelize" (models/user.mjs, table
+    // "users") or "json" (users.json in database.directory, data/<tenant>)
     type: "memory",
   },
   features: {
@@ -13,6 +14,22 @@ export default {
     analytics: true,
     auditLogging: true,
   },
+  // Bearer tokens with aud "sample-tenant", signed with HS256; the
+  // development fallback is dropped by config.production.js
+  auth: {
+    jwt: {
+      secret:
+        "${env:SAMPLE_TENANT_JWT_SECRET:-sample-tenant-development-secret-change-me}",
+    },
+  },
+  // Enforced on routes declaring config.permissions; the role comes from
+  // the verified token (auth.jwt)
+  rbac: {
+    roles: {
+      admin: ["users:*"],
+      user: ["users:read"],
+    },
+  },
   limits: {
     maxUsers: 1000,
     requestsPerMinute: 100,
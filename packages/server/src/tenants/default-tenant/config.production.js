@@ -0,0 +1,11 @@
+/**
+ * Production overrides, merged over config.js when NODE_ENV=production
+ */
+export default {
+  auth: {
+    jwt: {
+      // No fallback: the tenant is refused until the secret is set
+      secret: "${env:SAMPLE_TENANT_JWT_SECRET}",
+    },
+  },
+};
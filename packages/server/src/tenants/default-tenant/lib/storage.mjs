@@ -0,0 +1,316 @@
+/**
+ * Storage Adapters using Adapter Pattern
+ * One interface for repositories over memory, SQL (Sequelize) or JSON files:
+ * findAll(), find(query), count(filter), findById(id), findOne(criteria),
+ * create(record), update(id, record) -> record | null, delete(id) -> boolean
+ *
+ * query: { filter, sort: [[field, "asc" | "desc"]], after, offset, limit }
+ * filter: { field: value } or { field: { gt, gte, lt, lte } }
+ * after: values of the sort fields of the last record seen (keyset paging)
+ */
+import fs from "fs/promises";
+import path from "path";
+import { Op } from "sequelize";
+
+const COMPARATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+
+// Dates are kept as ISO strings, which compare in chronological order
+const matches = (record, filter = {}) =>
+  Object.entries(filter).every(([field, condition]) =>
+    condition !== null && typeof condition === "object"
+      ? Object.entries(condition).every(([operator, value]) =>
+          COMPARATORS[operator](record[field], value)
+        )
+      : record[field] === condition
+  );
+
+const compareKeys = (a, b, sort) => {
+  for (const [index, [, direction]] of sort.entries()) {
+    if (a[index] !== b[index]) {
+      const order = a[index] < b[index] ? -1 : 1;
+      return direction === "desc" ? -order : order;
+    }
+  }
+  return 0;
+};
+
+// find() of the adapters holding records in process
+export const queryRecords = (records, query = {}) => {
+  const { filter, sort = [], after, offset = 0, limit } = query;
+  const key = (record) => sort.map(([field]) => record[field]);
+
+  return records
+    .filter((record) => matches(record, filter))
+    .sort((a, b) => compareKeys(key(a), key(b), sort))
+    .filter((record) => !after || compareKeys(key(record), after, sort) > 0)
+    .slice(offset, limit === undefined ? undefined : offset + limit);
+};
+
+// Records leave an adapter as plain JSON values, never as shared references
+const toPlain = (record) =>
+  record ? JSON.parse(JSON.stringify(record)) : null;
+
+export class MemoryStorageAdapter {
+  constructor(store = new Map()) {
+    this.store = store; // id -> record
+  }
+
+  async findAll() {
+    return Array.from(this.store.values(), toPlain);
+  }
+
+  async find(query) {
+    return queryRecords(Array.from(this.store.values()), query).map(toPlain);
+  }
+
+  async count(filter) {
+    return queryRecords(Array.from(this.store.values()), { filter }).length;
+  }
+
+  async findById(id) {
+    return toPlain(this.store.get(id));
+  }
+
+  async findOne(criteria) {
+    return toPlain(
+      Array.from(this.store.values()).find((record) =>
+        matches(record, criteria)
+      )
+    );
+  }
+
+  async create(record) {
+    this.store.set(record.id, toPlain(record));
+    return toPlain(record);
+  }
+
+  async update(id, record) {
+    if (!this.store.has(id)) {
+      return null;
+    }
+    this.store.set(id, toPlain(record));
+    return toPlain(record);
+  }
+
+  async delete(id) {
+    return this.store.delete(id);
+  }
+}
+
+export class SequelizeStorageAdapter {
+  constructor(model) {
+    if (!model) {
+      throw new Error("SequelizeStorageAdapter requires a model");
+    }
+    this.model = model;
+  }
+
+  async findAll() {
+    return (await this.model.findAll()).map(toPlain);
+  }
+
+  toWhere(filter = {}) {
+    return Object.fromEntries(
+      Object.entries(filter).map(([field, condition]) => [
+        field,
+        condition !== null && typeof condition === "object"
+          ? Object.fromEntries(
+              Object.entries(condition).map(([operator, value]) => [
+                Op[operator],
+                value,
+              ])
+            )
+          : condition,
+      ])
+    );
+  }
+
+  // Rows after the key: (a > x) OR (a = x AND b > y) ...
+  keysetWhere(sort, after) {
+    return {
+      [Op.or]: sort.map(([field, direction], index) => ({
+        ...Object.fromEntries(
+          sort.slice(0, index).map(([previous], i) => [previous, after[i]])
+        ),
+        [field]: { [direction === "desc" ? Op.lt : Op.gt]: after[index] },
+      })),
+    };
+  }
+
+  async find(query = {}) {
+    const { filter, sort = [], after, offset, limit } = query;
+    const where = this.toWhere(filter);
+
+    const rows = await this.model.findAll({
+      where: after
+        ? { [Op.and]: [where, this.keysetWhere(sort, after)] }
+        : where,
+      order: sort.map(([field, direction]) => [field, direction.toUpperCase()]),
+      offset,
+      limit,
+    });
+    return rows.map(toPlain);
+  }
+
+  async count(filter) {
+    return await this.model.count({ where: this.toWhere(filter) });
+  }
+
+  async findById(id) {
+    return toPlain(await this.model.findByPk(id));
+  }
+
+  async findOne(criteria) {
+    return toPlain(await this.model.findOne({ where: criteria }));
+  }
+
+  async create(record) {
+    return toPlain(await this.model.create(record));
+  }
+
+  async update(id, record) {
+    const instance = await this.model.findByPk(id);
+    if (!instance) {
+      return null;
+    }
+    return toPlain(await instance.update(record));
+  }
+
+  async delete(id) {
+    return (await this.model.destroy({ where: { id } })) > 0;
+  }
+}
+
+/**
+ * JSON file holding one collection as { id: record }. Writes are queued and
+ * go through a temporary file, so a crash never leaves a truncated file.
+ * `options.reserve(bytes)` gets the new file size before each write and may
+ * throw to refuse it, e.g. TenantUsage storage metering.
+ */
+export class JsonFileStorageAdapter {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.reserve = options.reserve || null;
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return {};
+      }
+      throw err;
+    }
+  }
+
+  async write(records) {
+    const data = JSON.stringify(records, null, 2);
+    await this.reserve?.(Buffer.byteLength(data));
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(`${this.file}.tmp`, data);
+    await fs.rename(`${this.file}.tmp`, this.file);
+  }
+
+  // Read-modify-write steps run one at a time
+  mutate(change) {
+    const result = this.queue.then(async () => {
+      const records = await this.read();
+      const value = change(records);
+      await this.write(records);
+      return value;
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async findAll() {
+    await this.queue;
+    return Object.values(await this.read());
+  }
+
+  async find(query) {
+    await this.queue;
+    return queryRecords(Object.values(await this.read()), query);
+  }
+
+  async count(filter) {
+    await this.queue;
+    return queryRecords(Object.values(await this.read()), { filter }).length;
+  }
+
+  async findById(id) {
+    await this.queue;
+    return (await this.read())[id] || null;
+  }
+
+  async findOne(criteria) {
+    await this.queue;
+    return (
+      Object.values(await this.read()).find((record) =>
+        matches(record, criteria)
+      ) || null
+    );
+  }
+
+  create(record) {
+    return this.mutate((records) => {
+      records[record.id] = toPlain(record);
+      return toPlain(record);
+    });
+  }
+
+  update(id, record) {
+    return this.mutate((records) => {
+      if (!records[id]) {
+        return null;
+      }
+      records[id] = toPlain(record);
+      return toPlain(record);
+    });
+  }
+
+  delete(id) {
+    return this.mutate((records) => {
+      if (!records[id]) {
+        return false;
+      }
+      delete records[id];
+      return true;
+    });
+  }
+}
+
+/**
+ * Adapter for a collection, chosen by the tenant's `database.type`:
+ * "memory" (default), "sequelize" with a model from models/, or "json" with
+ * one file per collection in `database.directory`. The size of JSON files
+ * counts against the tenant's `limits.maxStorageBytes` when `usage` is given.
+ */
+export function createStorageAdapter(collection, options = {}) {
+  const { database = {}, models = {}, tenantId, modelName, usage } = options;
+  const type = database.type || "memory";
+
+  switch (type) {
+    case "memory":
+      return new MemoryStorageAdapter();
+    case "sequelize":
+      return new SequelizeStorageAdapter(models[modelName]);
+    case "json":
+      return new JsonFileStorageAdapter(
+        path.resolve(
+          database.directory || path.join("data", tenantId || "default"),
+          `${collection}.json`
+        ),
+        { reserve: usage && ((bytes) => usage.setStorage(collection, bytes)) }
+      );
+    default:
+      throw new Error(`Unknown storage type '${type}'`);
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * User Model using Active Record Pattern
+ * Storage of the user service when database.type is "sequelize"
+ */
+export default function defineUser(sequelize, DataTypes) {
+  return sequelize.define(
+    "User",
+    {
+      id: { type: DataTypes.STRING(64), primaryKey: true },
+      name: { type: DataTypes.STRING(100), allowNull: false },
+      email: { type: DataTypes.STRING, allowNull: false, unique: true },
+      role: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+        defaultValue: "user",
+      },
+      // Set by the service as ISO strings
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    },
+    { tableName: "users", timestamps: false }
+  );
+}
@@ -1,8 +1,13 @@
+import userRoutes from "./users.mjs";
+
 /**
  * Main Tenant Routes using Router Pattern
  */
 export default async function routes(fastify, options) {
-  const { tenant } = options;
+  const { tenant, config } = options;
+
+  // User management; the prefix is already applied to this plugin
+  await fastify.register(userRoutes, { tenant, config });
 
   // Tenant info endpoint
   fastify.get("/", async (request, reply) => {
@@ -16,13 +21,13 @@ export default async function routes(fastify, options) {
 
   // Tenant status endpoint
   fastify.get("/status", async (request, reply) => {
-    const context = fastify.tenantContext;
+    const context = request.tenant;
 
     return {
       success: true,
       data: {
         id: context.id,
-        dataCount: context.data.size,
+        services: context.listServices(),
         config: context.config.features,
       },
     };
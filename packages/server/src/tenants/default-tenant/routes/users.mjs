@@ -1,45 +1,36 @@
+import { NotFoundError } from "@internal/shared";
+
 /**
  * User Routes using Controller Pattern
+ * Errors propagate to the server's problem+json handler
  */
 export default async function userRoutes(fastify, options) {
-  const { tenant } = options;
-
-  // Get user service
-  const getUserService = () => {
-    const UserService = fastify.tenantContext.services?.UserService;
-    if (!UserService) {
-      throw new Error("UserService not available");
-    }
-    return UserService;
-  };
+  // The tenant's user service, from the request's service scope
+  const getUserService = (request) => request.getService("userService");
 
-  // List users
+  // List users: paging, filters, sorting and field selection
   fastify.get(
     "/users",
     {
+      config: { permissions: ["users:read"] },
       schema: {
+        querystring: { $ref: "listUsersQuery#" },
         response: {
           200: { $ref: "userListResponse#" },
         },
       },
     },
     async (request, reply) => {
-      try {
-        const userService = getUserService();
-        const users = await userService.getAll();
+      const { data, pagination } = await getUserService(request).list(
+        request.query
+      );
 
-        return {
-          success: true,
-          data: users,
-          count: users.length,
-        };
-      } catch (error) {
-        request.log.error({ error }, "Failed to fetch users");
-        reply.code(500).send({
-          success: false,
-          error: "Failed to fetch users",
-        });
-      }
+      return {
+        success: true,
+        data,
+        count: data.length,
+        pagination,
+      };
     }
   );
 
@@ -47,6 +38,7 @@ export default async function userRoutes(fastify, options) {
   fastify.post(
     "/users",
     {
+      config: { permissions: ["users:write"] },
       schema: {
         body: { $ref: "createUserRequest#" },
         response: {
@@ -55,22 +47,13 @@ export default async function userRoutes(fastify, options) {
       },
     },
     async (request, reply) => {
-      try {
-        const userService = getUserService();
-        const user = await userService.create(request.body);
+      const user = await getUserService(request).create(request.body);
 
-        reply.code(201);
-        return {
-          success: true,
-          data: user,
-        };
-      } catch (error) {
-        request.log.error({ error }, "Failed to create user");
-        reply.code(400).send({
-          success: false,
-          error: error.message,
-        });
-      }
+      reply.code(201);
+      return {
+        success: true,
+        data: user,
+      };
     }
   );
 
@@ -78,36 +61,101 @@ export default async function userRoutes(fastify, options) {
   fastify.get(
     "/users/:id",
     {
+      config: { permissions: ["users:read"] },
+      schema: {
+        params: { $ref: "userIdParam#" },
+        querystring: { $ref: "userFieldsQuery#" },
+        response: {
+          200: { $ref: "userResponse#" },
+        },
+      },
+    },
+    async (request, reply) => {
+      const user = await getUserService(request).getById(
+        request.params.id,
+        request.query
+      );
+
+      if (!user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      return {
+        success: true,
+        data: user,
+      };
+    }
+  );
+
+  // Replace user
+  fastify.put(
+    "/users/:id",
+    {
+      config: { permissions: ["users:write"] },
+      schema: {
+        params: { $ref: "userIdParam#" },
+        body: { $ref: "replaceUserRequest#" },
+        response: {
+          200: { $ref: "userResponse#" },
+        },
+      },
+    },
+    async (request, reply) => {
+      const user = await getUserService(request).replace(
+        request.params.id,
+        request.body
+      );
+
+      return {
+        success: true,
+        data: user,
+      };
+    }
+  );
+
+  // Update user fields
+  fastify.patch(
+    "/users/:id",
+    {
+      config: { permissions: ["users:write"] },
       schema: {
         params: { $ref: "userIdParam#" },
+        body: { $ref: "updateUserRequest#" },
         response: {
           200: { $ref: "userResponse#" },
         },
       },
     },
     async (request, reply) => {
-      try {
-        const userService = getUserService();
-        const user = await userService.getById(request.params.id);
+      const user = await getUserService(request).update(
+        request.params.id,
+        request.body
+      );
 
-        if (!user) {
-          return reply.code(404).send({
-            success: false,
-            error: "User not found",
-          });
-        }
+      return {
+        success: true,
+        data: user,
+      };
+    }
+  );
 
-        return {
-          success: true,
-          data: user,
-        };
-      } catch (error) {
-        request.log.error({ error }, "Failed to fetch user");
-        reply.code(500).send({
-          success: false,
-          error: "Failed to fetch user",
-        });
+  // Delete user
+  fastify.delete(
+    "/users/:id",
+    {
+      config: { permissions: ["users:delete"] },
+      schema: {
+        params: { $ref: "userIdParam#" },
+      },
+    },
+    async (request, reply) => {
+      const deleted = await getUserService(request).delete(request.params.id);
+
+      if (!deleted) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
       }
+
+      return reply.code(204).send();
     }
   );
 }
@@ -23,6 +23,59 @@ export const createUserRequest = {
   additionalProperties: false,
 };
 
+// Full replacement (PUT): the same fields as on creation
+export const replaceUserRequest = {
+  ...createUserRequest,
+  $id: "replaceUserRequest",
+};
+
+// Partial update (PATCH): any of the fields, at least one
+export const updateUserRequest = {
+  $id: "updateUserRequest",
+  type: "object",
+  properties: createUserRequest.properties,
+  minProperties: 1,
+  additionalProperties: false,
+};
+
+const USER_FIELDS = "id|name|email|role|createdAt|updatedAt";
+const SORT_FIELDS = "name|email|role|createdAt|updatedAt";
+
+// fields=id,name selects the returned fields
+export const userFieldsQuery = {
+  $id: "userFieldsQuery",
+  type: "object",
+  properties: {
+    fields: {
+      type: "string",
+      pattern: `^(${USER_FIELDS})(,(${USER_FIELDS}))*$`,
+    },
+  },
+  additionalProperties: false,
+};
+
+export const listUsersQuery = {
+  $id: "listUsersQuery",
+  type: "object",
+  properties: {
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+    offset: { type: "integer", minimum: 0, default: 0 },
+    cursor: { type: "string", maxLength: 1024 }, // nextCursor of a page
+    role: createUserRequest.properties.role,
+    email: { type: "string", format: "email" },
+    createdAfter: { type: "string", format: "date-time" },
+    createdBefore: { type: "string", format: "date-time" },
+    // "-createdAt,name": "-" sorts descending
+    sort: {
+      type: "string",
+      pattern: `^-?(${SORT_FIELDS})(,-?(${SORT_FIELDS}))*$`,
+      default: "createdAt",
+    },
+    fields: userFieldsQuery.properties.fields,
+  },
+  additionalProperties: false,
+};
+
 export const userResponse = {
   $id: "userResponse",
   type: "object",
@@ -52,8 +105,27 @@ export const userListResponse = {
       items: { $ref: "userResponse#/properties/data" },
     },
     count: { type: "number" },
+    pagination: {
+      type: "object",
+      properties: {
+        limit: { type: "integer" },
+        offset: { type: ["integer", "null"] },
+        total: { type: "integer" },
+        hasMore: { type: "boolean" },
+        nextCursor: { type: ["string", "null"] },
+      },
+    },
   },
 };
 
 // Export all schemas for auto-registration
-export default [userIdParam, createUserRequest, userResponse, userListResponse];
+export default [
+  userIdParam,
+  createUserRequest,
+  replaceUserRequest,
+  updateUserRequest,
+  userFieldsQuery,
+  listUsersQuery,
+  userResponse,
+  userListResponse,
+];
@@ -2,11 +2,28 @@
  * User Service using Service Layer Pattern
  * Implements business logic with clear separation of concerns
  */
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "@internal/shared";
+import { MemoryStorageAdapter, createStorageAdapter } from "../lib/storage.mjs";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ["name", "email", "role", "createdAt", "updatedAt"];
+
+const emailTaken = (cause) =>
+  new ConflictError("User with this email already exists", {
+    code: "USER_EMAIL_TAKEN",
+    cause,
+  });
 
 export class UserService {
-  constructor(repository, config = {}) {
+  constructor(repository, config = {}, usage = null) {
     this.repository = repository;
     this.config = config;
+    this.usage = usage; // Tenant usage meter, enforces limits.maxUsers
     this.validator = new UserValidator();
   }
 
@@ -14,9 +31,130 @@ export class UserService {
     return await this.repository.findAll();
   }
 
-  async getById(id) {
+  /**
+   * One page of users. Offset paging with `offset`, or keyset paging with
+   * the `nextCursor` of the previous page, which stays stable while users
+   * are added or removed.
+   */
+  async list(query = {}) {
+    const { limit = DEFAULT_PAGE_SIZE, offset = 0, cursor, fields } = query;
+    const sort = query.sort || "createdAt";
+    this.validator.validateListQuery({ ...query, limit, offset, sort });
+
+    const order = this.parseSort(sort);
+    const filter = this.buildFilter(query);
+    const after = cursor ? this.decodeCursor(cursor, sort) : undefined;
+
+    // One extra record tells whether another page follows
+    const [records, total] = await Promise.all([
+      this.repository.find({
+        filter,
+        sort: order,
+        after,
+        offset: after ? 0 : offset,
+        limit: limit + 1,
+      }),
+      this.repository.count(filter),
+    ]);
+    const page = records.slice(0, limit);
+    const hasMore = records.length > limit;
+    const last = page.at(-1);
+
+    return {
+      data: page.map((user) => this.selectFields(user, fields)),
+      pagination: {
+        limit,
+        offset: after ? null : offset,
+        total,
+        hasMore,
+        nextCursor: hasMore
+          ? this.encodeCursor(
+              sort,
+              order.map(([field]) => last[field])
+            )
+          : null,
+      },
+    };
+  }
+
+  // "-createdAt,name": descending creation date, then name; the id breaks ties
+  parseSort(sort) {
+    const order = sort.split(",").map((key) => {
+      const field = key.replace(/^-/, "");
+      if (!SORTABLE_FIELDS.includes(field)) {
+        throw new ValidationError(`Cannot sort by '${field}'`, {
+          field: "sort",
+        });
+      }
+      return [field, key.startsWith("-") ? "desc" : "asc"];
+    });
+    return [...order, ["id", "asc"]];
+  }
+
+  buildFilter({ role, email, createdAfter, createdBefore }) {
+    const filter = {};
+    if (role) {
+      filter.role = role;
+    }
+    if (email) {
+      filter.email = email;
+    }
+    if (createdAfter || createdBefore) {
+      filter.createdAt = {
+        ...(createdAfter && { gt: this.toTimestamp(createdAfter) }),
+        ...(createdBefore && { lt: this.toTimestamp(createdBefore) }),
+      };
+    }
+    return filter;
+  }
+
+  toTimestamp(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ValidationError("Invalid date", { field: "createdAt" });
+    }
+    return date.toISOString();
+  }
+
+  // Opaque to clients; bound to the sort order it was issued for
+  encodeCursor(sort, values) {
+    return Buffer.from(JSON.stringify({ sort, values })).toString("base64url");
+  }
+
+  decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+      decoded = null;
+    }
+
+    if (!Array.isArray(decoded?.values) || decoded.sort !== sort) {
+      throw new ValidationError("Invalid cursor for this sort order", {
+        field: "cursor",
+        code: "INVALID_CURSOR",
+      });
+    }
+    return decoded.values;
+  }
+
+  // "id,name": only these fields of each user
+  selectFields(user, fields) {
+    if (!fields) {
+      return user;
+    }
+    return Object.fromEntries(
+      fields
+        .split(",")
+        .filter((field) => field in user)
+        .map((field) => [field, user[field]])
+    );
+  }
+
+  async getById(id, { fields } = {}) {
     this.validator.validateId(id);
-    return await this.repository.findById(id);
+    const user = await this.repository.findById(id);
+    return user && this.selectFields(user, fields);
   }
 
   async create(userData) {
@@ -26,7 +164,7 @@ export class UserService {
     // Check for duplicate email
     const existingUser = await this.repository.findByEmail(userData.email);
     if (existingUser) {
-      throw new Error("User with this email already exists");
+      throw emailTaken();
     }
 
     // Create user with defaults
@@ -38,17 +176,26 @@ export class UserService {
       updatedAt: new Date().toISOString(),
     };
 
-    return await this.repository.create(user);
+    if (!this.usage) {
+      return await this.repository.create(user);
+    }
+
+    // Quota check (limits.maxUsers) against the stored users, throws
+    // QuotaExceededError; serialized with other creates of the tenant
+    return await this.usage.createRecord(
+      "users",
+      () => this.repository.create(user),
+      { count: () => this.repository.count() }
+    );
   }
 
+  // Partial update (PATCH)
   async update(id, userData) {
     this.validator.validateId(id);
     this.validator.validateUpdateData(userData);
 
-    const existingUser = await this.repository.findById(id);
-    if (!existingUser) {
-      throw new Error("User not found");
-    }
+    const existingUser = await this.findExisting(id);
+    await this.assertEmailAvailable(userData.email, id);
 
     const updatedUser = {
       ...existingUser,
@@ -59,9 +206,46 @@ export class UserService {
     return await this.repository.update(id, updatedUser);
   }
 
+  // Full replacement (PUT); id and creation date are kept
+  async replace(id, userData) {
+    this.validator.validateId(id);
+    this.validator.validateCreateData(userData);
+
+    const existingUser = await this.findExisting(id);
+    await this.assertEmailAvailable(userData.email, id);
+
+    return await this.repository.update(id, {
+      name: userData.name,
+      email: userData.email,
+      role: userData.role || "user",
+      id,
+      createdAt: existingUser.createdAt,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  async findExisting(id) {
+    const existingUser = await this.repository.findById(id);
+    if (!existingUser) {
+      throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+    }
+    return existingUser;
+  }
+
+  async assertEmailAvailable(email, ownerId) {
+    const holder = email && (await this.repository.findByEmail(email));
+    if (holder && holder.id !== ownerId) {
+      throw emailTaken();
+    }
+  }
+
   async delete(id) {
     this.validator.validateId(id);
-    return await this.repository.delete(id);
+    const deleted = await this.repository.delete(id);
+    if (deleted) {
+      await this.usage?.recordDeleted("users");
+    }
+    return deleted;
   }
 
   generateId() {
@@ -71,61 +255,65 @@ export class UserService {
 
 /**
  * User Repository using Repository Pattern
- * Handles data persistence abstraction
+ * Handles data persistence abstraction over a storage adapter (lib/storage.mjs)
  */
 export class UserRepository {
-  constructor(dataStore) {
-    this.store = dataStore; // Could be database, memory, etc.
+  constructor(storage) {
+    this.storage = storage;
   }
 
   async findAll() {
-    if (this.store instanceof Map) {
-      return Array.from(this.store.values());
-    }
-    throw new Error("Unsupported data store");
+    return await this.storage.findAll();
+  }
+
+  async find(query) {
+    return await this.storage.find(query);
+  }
+
+  async count(filter) {
+    return await this.storage.count(filter);
   }
 
   async findById(id) {
-    if (this.store instanceof Map) {
-      return this.store.get(id) || null;
-    }
-    throw new Error("Unsupported data store");
+    return await this.storage.findById(id);
   }
 
   async findByEmail(email) {
-    if (this.store instanceof Map) {
-      return (
-        Array.from(this.store.values()).find((user) => user.email === email) ||
-        null
-      );
-    }
-    throw new Error("Unsupported data store");
+    return await this.storage.findOne({ email });
   }
 
+  // The service checks emails first; a concurrent write can still hit the
+  // unique index of the SQL storage
   async create(user) {
-    if (this.store instanceof Map) {
-      this.store.set(user.id, user);
-      return user;
+    try {
+      return await this.storage.create(user);
+    } catch (err) {
+      throw this.isEmailConflict(err) ? emailTaken(err) : err;
     }
-    throw new Error("Unsupported data store");
   }
 
   async update(id, userData) {
-    if (this.store instanceof Map) {
-      if (!this.store.has(id)) {
-        throw new Error("User not found");
-      }
-      this.store.set(id, userData);
-      return userData;
+    let updated;
+    try {
+      updated = await this.storage.update(id, userData);
+    } catch (err) {
+      throw this.isEmailConflict(err) ? emailTaken(err) : err;
+    }
+    if (!updated) {
+      throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
     }
-    throw new Error("Unsupported data store");
+    return updated;
   }
 
   async delete(id) {
-    if (this.store instanceof Map) {
-      return this.store.delete(id);
-    }
-    throw new Error("Unsupported data store");
+    return await this.storage.delete(id);
+  }
+
+  isEmailConflict(err) {
+    return (
+      err?.name === "SequelizeUniqueConstraintError" &&
+      err.errors?.some((item) => item.path === "email")
+    );
   }
 }
 
@@ -135,35 +323,49 @@ export class UserRepository {
 export class UserValidator {
   validateId(id) {
     if (!id || typeof id !== "string") {
-      throw new Error("Invalid user ID");
+      throw new ValidationError("Invalid user ID", { field: "id" });
     }
   }
 
   validateCreateData(data) {
     if (!data || typeof data !== "object") {
-      throw new Error("Invalid user data");
+      throw new ValidationError("Invalid user data");
     }
 
     if (!data.name || typeof data.name !== "string") {
-      throw new Error("Name is required");
+      throw new ValidationError("Name is required", { field: "name" });
     }
 
     if (!data.email || !this.isValidEmail(data.email)) {
-      throw new Error("Valid email is required");
+      throw new ValidationError("Valid email is required", { field: "email" });
+    }
+  }
+
+  validateListQuery({ limit, offset }) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(
+        `Limit must be an integer from 1 to ${MAX_PAGE_SIZE}`,
+        { field: "limit" }
+      );
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError("Offset must be a non-negative integer", {
+        field: "offset",
+      });
     }
   }
 
   validateUpdateData(data) {
     if (!data || typeof data !== "object") {
-      throw new Error("Invalid user data");
+      throw new ValidationError("Invalid user data");
     }
 
     if (data.name && typeof data.name !== "string") {
-      throw new Error("Name must be a string");
+      throw new ValidationError("Name must be a string", { field: "name" });
     }
 
     if (data.email && !this.isValidEmail(data.email)) {
-      throw new Error("Email must be valid");
+      throw new ValidationError("Email must be valid", { field: "email" });
     }
   }
 
@@ -173,8 +375,26 @@ export class UserValidator {
   }
 }
 
-// Factory function for service creation
-export default function createUserService(dataStore, config = {}) {
-  const repository = new UserRepository(dataStore);
-  return new UserService(repository, config);
+// Factory function for service creation, called by the tenant's service
+// container with the tenant's connection, its config and the service context.
+// The storage follows config.database.type; a Map is used as in-memory storage.
+export const inject = ["db", "config", "context"];
+
+export default function createUserService(
+  db,
+  config = {},
+  { usage, models, tenantId } = {}
+) {
+  const storage =
+    db instanceof Map
+      ? new MemoryStorageAdapter(db)
+      : createStorageAdapter("users", {
+          database: config.database,
+          models,
+          modelName: "User",
+          tenantId,
+          usage,
+        });
+  const repository = new UserRepository(storage);
+  return new UserService(repository, config, usage);
 }
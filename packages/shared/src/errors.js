@@ -0,0 +1,71 @@
+/**
+ * Application errors rendered as RFC 7807 problem details by the server.
+ * Tenant services throw these instead of building HTTP responses.
+ */
+export class AppError extends Error {
+  constructor(message, options = {}) {
+    const {
+      status,
+      code = "INTERNAL_ERROR",
+      title,
+      type,
+      errors,
+      cause,
+      ...extensions
+    } = options;
+
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = status ?? 500; // Read by Fastify
+    // Lets a status registered for the code replace the 500 default
+    this.defaultStatus = status === undefined;
+    this.code = code;
+    this.title = title;
+    this.type = type;
+    this.errors = errors; // Field-level details: [{ in, field, message }]
+
+    // Extra members of the problem document, also readable on the error
+    this.extensions = extensions;
+    Object.assign(this, extensions);
+  }
+
+  get status() {
+    return this.statusCode;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed", options = {}) {
+    super(message, { status: 400, code: "VALIDATION_FAILED", ...options });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Resource not found", options = {}) {
+    super(message, { status: 404, code: "NOT_FOUND", ...options });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Resource already exists", options = {}) {
+    super(message, { status: 409, code: "CONFLICT", ...options });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", options = {}) {
+    super(message, { status: 401, code: "UNAUTHORIZED", ...options });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", options = {}) {
+    super(message, { status: 403, code: "FORBIDDEN", ...options });
+  }
+}
+
+export class QuotaExceededError extends AppError {
+  constructor(message = "Quota exceeded", options = {}) {
+    super(message, { status: 403, code: "QUOTA_EXCEEDED", ...options });
+  }
+}
@@ -1 +1,2 @@
 export * as constants from "./constants.js";
+export * from "./errors.js";